@@ -0,0 +1,40 @@
+using System.Text.Json.Serialization;
+
+namespace AIMusicCreator.Entity
+{
+    /// <summary>
+    /// 波形上的命名标记或区域
+    /// </summary>
+    /// <remarks>
+    /// End 为 null 时表示单个时间点的标记，否则表示 Start..End 的命名区域。
+    /// 随项目保存，并可导入导出为 Audacity 标签文本与 CUE 表。
+    /// </remarks>
+    public class AudioMarker
+    {
+        /// <summary>
+        /// 标识（用于在波形与列表之间对应）
+        /// </summary>
+        public string Id { get; set; } = Guid.NewGuid().ToString("N");
+
+        /// <summary>
+        /// 名称（批量裁剪时作为片段文件名）
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 开始时间（秒）
+        /// </summary>
+        public double Start { get; set; }
+
+        /// <summary>
+        /// 结束时间（秒），标记点为 null
+        /// </summary>
+        public double? End { get; set; }
+
+        /// <summary>
+        /// 是否为区域
+        /// </summary>
+        [JsonIgnore]
+        public bool IsRegion => End.HasValue;
+    }
+}
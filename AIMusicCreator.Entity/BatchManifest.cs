@@ -0,0 +1,135 @@
+namespace AIMusicCreator.Entity
+{
+    /// <summary>
+    /// 批量处理压缩包的清单（manifest.json）
+    /// </summary>
+    /// <remarks>
+    /// 每种操作（裁剪、降噪、格式转换）在压缩包中占一个文件夹，清单记录每个源文件的处理参数、
+    /// 输出路径、时长、校验和以及失败原因，并据此生成便于试听的 index.html。
+    /// </remarks>
+    public class BatchManifest
+    {
+        /// <summary>
+        /// 打包时间
+        /// </summary>
+        public DateTimeOffset CreatedAt { get; set; } = DateTimeOffset.Now;
+
+        /// <summary>
+        /// 各操作的处理结果
+        /// </summary>
+        public List<BatchOperation> Operations { get; set; } = new();
+    }
+
+    /// <summary>
+    /// 一次批量操作及其结果
+    /// </summary>
+    public class BatchOperation
+    {
+        /// <summary>
+        /// 操作标识：cut、denoise 或 convert，同时作为压缩包中的文件夹名
+        /// </summary>
+        public string Operation { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 显示名称（如“批量裁剪”）
+        /// </summary>
+        public string Name { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 处理时间
+        /// </summary>
+        public DateTimeOffset ProcessedAt { get; set; } = DateTimeOffset.Now;
+
+        /// <summary>
+        /// 处理参数
+        /// </summary>
+        public BatchOperationParameters Parameters { get; set; } = new();
+
+        /// <summary>
+        /// 每个源文件的处理结果
+        /// </summary>
+        public List<BatchManifestEntry> Files { get; set; } = new();
+    }
+
+    /// <summary>
+    /// 批量操作参数，只填写与该操作相关的字段
+    /// </summary>
+    public class BatchOperationParameters
+    {
+        /// <summary>
+        /// 裁剪开始时间（秒）
+        /// </summary>
+        public double? CutStart { get; set; }
+
+        /// <summary>
+        /// 裁剪结束时间（秒）
+        /// </summary>
+        public double? CutEnd { get; set; }
+
+        /// <summary>
+        /// 降噪强度（0-100）
+        /// </summary>
+        public int? DenoiseStrength { get; set; }
+
+        /// <summary>
+        /// 目标格式（wav、mp3、flac）
+        /// </summary>
+        public string? TargetFormat { get; set; }
+
+        /// <summary>
+        /// MP3 码率（kbps），仅目标格式为 MP3 时有效
+        /// </summary>
+        public int? Mp3Quality { get; set; }
+    }
+
+    /// <summary>
+    /// 单个源文件的处理结果
+    /// </summary>
+    public class BatchManifestEntry
+    {
+        /// <summary>
+        /// 源文件名
+        /// </summary>
+        public string Source { get; set; } = string.Empty;
+
+        /// <summary>
+        /// 源文件大小（字节）
+        /// </summary>
+        public long SourceSize { get; set; }
+
+        /// <summary>
+        /// 源文件时长（秒），浏览器无法解码时为 null
+        /// </summary>
+        public double? SourceDuration { get; set; }
+
+        /// <summary>
+        /// 输出文件在压缩包中的路径，处理失败时为 null
+        /// </summary>
+        public string? Output { get; set; }
+
+        /// <summary>
+        /// 输出文件大小（字节）
+        /// </summary>
+        public long? OutputSize { get; set; }
+
+        /// <summary>
+        /// 输出文件时长（秒）：WAV 从文件头读取，其他格式按源文件时长与处理参数推算，无法得知时为 null
+        /// </summary>
+        public double? Duration { get; set; }
+
+        /// <summary>
+        /// 输出文件的 SHA-256（小写十六进制）
+        /// </summary>
+        public string? Sha256 { get; set; }
+
+        /// <summary>
+        /// 处理失败的原因，成功时为 null
+        /// </summary>
+        public string? Error { get; set; }
+
+        /// <summary>
+        /// 是否处理成功
+        /// </summary>
+        public bool Succeeded => Error == null;
+    }
+}
@@ -0,0 +1,88 @@
+using AIMusicCreator.Entity;
+using AIMusicCreator.Utils;
+using Xunit;
+
+namespace AIMusicCreator.Tests
+{
+    public class AudioMarkerUtilsTests
+    {
+        [Fact]
+        public void AudacityLabels_RoundTrip_PreservesRegionsAndPoints()
+        {
+            // Arrange
+            var markers = new List<AudioMarker>
+            {
+                new() { Name = "副歌", Start = 12.5, End = 30.25 },
+                new() { Name = "鼓点", Start = 3 }
+            };
+
+            // Act
+            var text = AudioMarkerUtils.ToAudacityLabels(markers);
+            var parsed = AudioMarkerUtils.ParseAudacityLabels(text);
+
+            // Assert
+            Assert.Equal("3.000000\t3.000000\t鼓点\n12.500000\t30.250000\t副歌\n", text);
+            Assert.Equal(2, parsed.Count);
+            Assert.False(parsed[0].IsRegion);
+            Assert.Equal("副歌", parsed[1].Name);
+            Assert.Equal(12.5, parsed[1].Start);
+            Assert.Equal(30.25, parsed[1].End);
+        }
+
+        [Fact]
+        public void ParseAudacityLabels_SkipsFrequencyAndInvalidLines()
+        {
+            // Arrange
+            var text = "1.5\t2.5\tIntro\r\n\\\t100.0\t2000.0\r\nnot a label\r\n";
+
+            // Act
+            var parsed = AudioMarkerUtils.ParseAudacityLabels(text);
+
+            // Assert
+            var marker = Assert.Single(parsed);
+            Assert.Equal("Intro", marker.Name);
+            Assert.Equal(2.5, marker.End);
+        }
+
+        [Fact]
+        public void ToCueSheet_WritesTracksInStartOrder()
+        {
+            // Arrange
+            var markers = new List<AudioMarker>
+            {
+                new() { Name = "B", Start = 65.2, End = 70 },
+                new() { Name = "A \"live\"", Start = 0, End = 65.2 }
+            };
+
+            // Act
+            var cue = AudioMarkerUtils.ToCueSheet(markers, "song.wav");
+
+            // Assert
+            Assert.Equal(
+                "FILE \"song.wav\" WAVE\n" +
+                "  TRACK 01 AUDIO\n    TITLE \"A 'live'\"\n    INDEX 01 00:00:00\n" +
+                "  TRACK 02 AUDIO\n    TITLE \"B\"\n    INDEX 01 01:05:15\n",
+                cue);
+        }
+
+        [Fact]
+        public void ParseCueSheet_EndsEachTrackAtNextStart()
+        {
+            // Arrange
+            var cue = "TITLE \"Album\"\nFILE \"song.wav\" WAVE\n" +
+                      "  TRACK 01 AUDIO\n    TITLE \"One\"\n    INDEX 01 00:00:00\n" +
+                      "  TRACK 02 AUDIO\n    INDEX 00 00:59:00\n    INDEX 01 01:00:00\n";
+
+            // Act
+            var parsed = AudioMarkerUtils.ParseCueSheet(cue, 90);
+
+            // Assert
+            Assert.Equal(2, parsed.Count);
+            Assert.Equal("One", parsed[0].Name);
+            Assert.Equal(60, parsed[0].End);
+            Assert.Equal("Track 02", parsed[1].Name);
+            Assert.Equal(60, parsed[1].Start);
+            Assert.Equal(90, parsed[1].End);
+        }
+    }
+}
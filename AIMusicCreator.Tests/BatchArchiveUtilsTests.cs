@@ -0,0 +1,107 @@
+using AIMusicCreator.Entity;
+using AIMusicCreator.Utils;
+using NAudio.Wave;
+using Xunit;
+
+namespace AIMusicCreator.Tests
+{
+    public class BatchArchiveUtilsTests
+    {
+        private static BatchManifest CreateManifest() => new()
+        {
+            Operations =
+            {
+                new BatchOperation
+                {
+                    Operation = "cut",
+                    Name = "批量裁剪",
+                    Parameters = new BatchOperationParameters { CutStart = 1, CutEnd = 5 },
+                    Files =
+                    {
+                        new BatchManifestEntry
+                        {
+                            Source = "鼓 & 贝斯.wav",
+                            SourceSize = 2048,
+                            Output = "cut/鼓 & 贝斯.cut_1-5s.wav",
+                            OutputSize = 1024,
+                            Duration = 4,
+                            Sha256 = BatchArchiveUtils.ComputeSha256([1, 2, 3])
+                        },
+                        new BatchManifestEntry { Source = "broken.mp3", SourceSize = 10, Error = "解码失败 <eof>" }
+                    }
+                }
+            }
+        };
+
+        [Fact]
+        public void ToManifestJson_UsesCamelCaseAndOmitsUnsetFields()
+        {
+            // Act
+            var json = BatchArchiveUtils.ToManifestJson(CreateManifest());
+
+            // Assert
+            Assert.Contains("\"cutStart\": 1", json);
+            Assert.Contains("\"source\": \"鼓 & 贝斯.wav\"", json);
+            Assert.Contains("\"sha256\": \"039058c6f2c0cb492c533b0a4d14ef77cc0f78abccced5287d84a1a2011cfb81\"", json);
+            Assert.Contains("\"error\": \"解码失败 <eof>\"", json);
+            Assert.Contains("\"succeeded\": false", json);
+            Assert.DoesNotContain("denoiseStrength", json);
+            Assert.DoesNotContain("mp3Quality", json);
+        }
+
+        [Fact]
+        public void ToIndexHtml_LinksOutputsAndEscapesNames()
+        {
+            // Act
+            var html = BatchArchiveUtils.ToIndexHtml(CreateManifest());
+
+            // Assert
+            Assert.Contains("<audio controls preload=\"none\" src=\"cut/%E9%BC%93%20%26%20%E8%B4%9D%E6%96%AF.cut_1-5s.wav\"></audio>", html);
+            Assert.Contains("鼓 &amp; 贝斯.wav", html);
+            Assert.Contains("处理失败：解码失败 &lt;eof&gt;", html);
+            Assert.Contains("裁剪范围 0:01.000 – 0:05.000", html);
+            Assert.Contains("成功 1 个，失败 1 个", html);
+        }
+
+        [Fact]
+        public void ReadWavDuration_UsesHeaderAndIgnoresOtherFormats()
+        {
+            // Arrange：8 kHz 16 位单声道 1.5 秒
+            using var stream = new MemoryStream();
+            using (var writer = new WaveFileWriter(stream, new WaveFormat(8000, 16, 1)))
+            {
+                writer.Write(new byte[24000], 0, 24000);
+            }
+            var wav = stream.ToArray();
+
+            // Act
+            var duration = BatchArchiveUtils.ReadWavDuration(wav);
+            var mp3Duration = BatchArchiveUtils.ReadWavDuration([0x49, 0x44, 0x33, 0x04, 0x00]);
+            var truncatedDuration = BatchArchiveUtils.ReadWavDuration(wav[..12]);
+
+            // Assert
+            Assert.Equal(1.5, duration);
+            Assert.Null(mp3Duration);
+            Assert.Null(truncatedDuration);
+        }
+
+        [Fact]
+        public void ToIndexHtml_FormatsDurationsOverAnHour()
+        {
+            // Arrange
+            var manifest = CreateManifest();
+            var operation = manifest.Operations[0];
+            operation.Parameters = new BatchOperationParameters { CutStart = 3600, CutEnd = 3900 };
+            operation.Files[0].SourceDuration = 3900.5;
+            operation.Files[0].Duration = 300;
+
+            // Act
+            var html = BatchArchiveUtils.ToIndexHtml(manifest);
+
+            // Assert
+            Assert.Contains("裁剪范围 1:00:00.000 – 1:05:00.000", html);
+            Assert.Contains("1:05:00.500", html);
+            Assert.Contains("<td>5:00.000</td>", html);
+        }
+    }
+}
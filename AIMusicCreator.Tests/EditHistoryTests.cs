@@ -0,0 +1,99 @@
+using AIMusicCreator.Utils;
+using Xunit;
+
+namespace AIMusicCreator.Tests
+{
+    public class EditHistoryTests
+    {
+        // 手动推进的时钟，用于测试合并间隔
+        private class ManualTimeProvider : TimeProvider
+        {
+            public DateTimeOffset Now { get; set; } = new(2024, 1, 1, 12, 0, 0, TimeSpan.Zero);
+
+            public override DateTimeOffset GetUtcNow() => Now;
+
+            public override TimeZoneInfo LocalTimeZone => TimeZoneInfo.Utc;
+        }
+
+        [Fact]
+        public void Record_AfterUndo_DropsRedoTail()
+        {
+            // Arrange
+            var history = new EditHistory<string>();
+            history.Reset("初始状态", "a");
+            history.Record("裁剪", "b");
+            history.Record("淡化", "c");
+
+            // Act
+            var restored = history.Undo();
+            var dropped = history.Record("拼接", "d");
+
+            // Assert
+            Assert.Equal("b", restored);
+            Assert.Equal(new[] { "c" }, dropped);
+            Assert.Equal(new[] { "a", "b", "d" }, history.States);
+            Assert.Equal(2, history.Position);
+            Assert.False(history.CanRedo);
+            Assert.Null(history.Redo());
+        }
+
+        [Fact]
+        public void Record_MergesOnlyWithinWindowAndSameDescription()
+        {
+            // Arrange
+            var clock = new ManualTimeProvider();
+            var history = new EditHistory<int>(timeProvider: clock);
+            history.Reset("初始状态", 0);
+            history.Record("音量", 1, merge: true);
+
+            // Act：1 秒内同描述合并，不同描述或超过 1 秒新增一步
+            clock.Now += TimeSpan.FromMilliseconds(500);
+            var mergedDrop = history.Record("音量", 2, merge: true);
+            clock.Now += TimeSpan.FromMilliseconds(500);
+            history.Record("声像", 3, merge: true);
+            clock.Now += TimeSpan.FromMilliseconds(1500);
+            history.Record("声像", 4, merge: true);
+
+            // Assert
+            Assert.Equal(new[] { 1 }, mergedDrop);
+            Assert.Equal(new[] { 0, 2, 3, 4 }, history.States);
+            Assert.Equal(3, history.Position);
+        }
+
+        [Fact]
+        public void Record_DoesNotMergeIntoInitialState()
+        {
+            // Arrange
+            var history = new EditHistory<int>(timeProvider: new ManualTimeProvider());
+            history.Reset("音量", 0);
+
+            // Act
+            history.Record("音量", 1, merge: true);
+
+            // Assert
+            Assert.Equal(new[] { 0, 1 }, history.States);
+        }
+
+        [Fact]
+        public void Record_OverLimit_EvictsOldestAndShiftsPosition()
+        {
+            // Arrange
+            var history = new EditHistory<int>(limit: 3);
+            history.Reset("初始状态", 0);
+            history.Record("第 1 步", 1);
+            history.Record("第 2 步", 2);
+
+            // Act
+            var dropped = history.Record("第 3 步", 3);
+
+            // Assert
+            Assert.Equal(new[] { 0 }, dropped);
+            Assert.Equal(new[] { 1, 2, 3 }, history.States);
+            Assert.Equal(2, history.Position);
+            Assert.Equal(3, history.Current);
+            Assert.Equal(2, history.Undo());
+            Assert.Equal(1, history.Undo());
+            Assert.False(history.CanUndo);
+        }
+    }
+}
@@ -0,0 +1,25 @@
+using AIMusicCreator.Utils;
+using Xunit;
+
+namespace AIMusicCreator.Tests
+{
+    public class TimeFormatUtilsTests
+    {
+        [Theory]
+        [InlineData(0, 3, "0:00.000")]
+        [InlineData(-2, 3, "0:00.000")]
+        [InlineData(65.25, 3, "1:05.250")]
+        [InlineData(3599.9999, 1, "59:59.9")]
+        [InlineData(3900, 3, "1:05:00.000")]
+        [InlineData(90061.5, 1, "25:01:01.5")]
+        [InlineData(3725, 0, "1:02:05")]
+        public void FormatTime_IncludesHoursFromOneHour(double seconds, int fractionDigits, string expected)
+        {
+            // Act
+            var text = TimeFormatUtils.FormatTime(seconds, fractionDigits);
+
+            // Assert
+            Assert.Equal(expected, text);
+        }
+    }
+}
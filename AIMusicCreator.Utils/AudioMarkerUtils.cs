@@ -0,0 +1,158 @@
+using System.Globalization;
+using System.Text;
+using System.Text.RegularExpressions;
+using AIMusicCreator.Entity;
+
+namespace AIMusicCreator.Utils;
+
+/// <summary>
+/// 标记与区域的导入导出：Audacity 标签文本与 CUE 表
+/// </summary>
+public static class AudioMarkerUtils
+{
+    // CUE 时间以帧计，每秒 75 帧
+    private const int CueFramesPerSecond = 75;
+
+    private const string CueTrackPattern = @"^TRACK\s+(\d+)";
+    private const string CueTitlePattern = @"^TITLE\s+""?(.*?)""?$";
+    private const string CueIndexPattern = @"^INDEX\s+01\s+(\d+):(\d+):(\d+)";
+
+    /// <summary>
+    /// 导出为 Audacity 标签文本：每行“开始\t结束\t名称”，标记点的开始与结束相同
+    /// </summary>
+    public static string ToAudacityLabels(IEnumerable<AudioMarker> markers)
+    {
+        var builder = new StringBuilder();
+        foreach (var marker in markers.OrderBy(m => m.Start))
+        {
+            builder.Append(FormatSeconds(marker.Start)).Append('\t')
+                .Append(FormatSeconds(marker.End ?? marker.Start)).Append('\t')
+                .Append(marker.Name.Replace('\t', ' ').Replace('\n', ' ').Replace('\r', ' '))
+                .Append('\n');
+        }
+        return builder.ToString();
+    }
+
+    /// <summary>
+    /// 解析 Audacity 标签文本；开始与结束相同的标签视为标记点，频率范围行（以“\”开头）与无法解析的行被忽略
+    /// </summary>
+    public static List<AudioMarker> ParseAudacityLabels(string text)
+    {
+        var markers = new List<AudioMarker>();
+        foreach (var line in text.Split('\n'))
+        {
+            var trimmed = line.TrimEnd('\r');
+            if (trimmed.Length == 0 || trimmed.StartsWith('\\')) continue;
+
+            var parts = trimmed.Split('\t', 3);
+            if (parts.Length < 2
+                || !double.TryParse(parts[0], NumberStyles.Float, CultureInfo.InvariantCulture, out var start)
+                || !double.TryParse(parts[1], NumberStyles.Float, CultureInfo.InvariantCulture, out var end))
+            {
+                continue;
+            }
+
+            markers.Add(new AudioMarker
+            {
+                Name = parts.Length > 2 ? parts[2].Trim() : string.Empty,
+                Start = Math.Max(0, Math.Min(start, end)),
+                End = Math.Abs(end - start) < 1e-6 ? null : Math.Max(start, end)
+            });
+        }
+        return markers;
+    }
+
+    /// <summary>
+    /// 导出为 CUE 表：每个标记或区域按开始时间排序为一个音轨
+    /// </summary>
+    /// <remarks>
+    /// CUE 只记录音轨起点，区域的结束时间由下一音轨的起点（最后一轨为文件结尾）隐含。
+    /// </remarks>
+    /// <param name="markers">标记与区域</param>
+    /// <param name="audioFileName">CUE 引用的音频文件名</param>
+    public static string ToCueSheet(IEnumerable<AudioMarker> markers, string audioFileName)
+    {
+        var builder = new StringBuilder();
+        builder.Append("FILE \"").Append(QuoteCue(audioFileName)).Append("\" WAVE\n");
+
+        var track = 1;
+        foreach (var marker in markers.OrderBy(m => m.Start))
+        {
+            var title = string.IsNullOrWhiteSpace(marker.Name) ? $"Track {track:00}" : marker.Name;
+            builder.Append($"  TRACK {track:00} AUDIO\n");
+            builder.Append("    TITLE \"").Append(QuoteCue(title)).Append("\"\n");
+            builder.Append("    INDEX 01 ").Append(FormatCueTime(marker.Start)).Append('\n');
+            track++;
+        }
+        return builder.ToString();
+    }
+
+    /// <summary>
+    /// 解析 CUE 表，每个音轨成为一个区域，结束于下一音轨的起点
+    /// </summary>
+    /// <param name="text">CUE 文本</param>
+    /// <param name="duration">音频总时长（秒），用作最后一轨的结尾；未知时传 0，最后一轨作为标记点</param>
+    public static List<AudioMarker> ParseCueSheet(string text, double duration)
+    {
+        var markers = new List<AudioMarker>();
+        AudioMarker? current = null;
+        var hasIndex = false;
+
+        foreach (var line in text.Split('\n'))
+        {
+            var trimmed = line.Trim();
+            if (Regex.Match(trimmed, CueTrackPattern, RegexOptions.IgnoreCase) is { Success: true } track)
+            {
+                AddCueTrack(markers, current, hasIndex);
+                current = new AudioMarker { Name = $"Track {track.Groups[1].Value}" };
+                hasIndex = false;
+            }
+            else if (current != null && Regex.Match(trimmed, CueTitlePattern, RegexOptions.IgnoreCase) is { Success: true } title)
+            {
+                current.Name = title.Groups[1].Value;
+            }
+            else if (current != null && Regex.Match(trimmed, CueIndexPattern, RegexOptions.IgnoreCase) is { Success: true } index)
+            {
+                var frames = int.Parse(index.Groups[1].Value, CultureInfo.InvariantCulture) * 60 * CueFramesPerSecond
+                    + int.Parse(index.Groups[2].Value, CultureInfo.InvariantCulture) * CueFramesPerSecond
+                    + int.Parse(index.Groups[3].Value, CultureInfo.InvariantCulture);
+                current.Start = (double)frames / CueFramesPerSecond;
+                hasIndex = true;
+            }
+        }
+        AddCueTrack(markers, current, hasIndex);
+
+        // 每轨结束于下一轨的起点
+        markers.Sort((a, b) => a.Start.CompareTo(b.Start));
+        for (var i = 0; i < markers.Count; i++)
+        {
+            var end = i + 1 < markers.Count ? markers[i + 1].Start : duration;
+            markers[i].End = end > markers[i].Start ? end : null;
+        }
+        return markers;
+    }
+
+    // 只收录带 INDEX 01 的音轨
+    private static void AddCueTrack(List<AudioMarker> markers, AudioMarker? track, bool hasIndex)
+    {
+        if (track != null && hasIndex)
+        {
+            markers.Add(track);
+        }
+    }
+
+    private static string FormatSeconds(double seconds) =>
+        seconds.ToString("0.000000", CultureInfo.InvariantCulture);
+
+    // mm:ss:ff，分钟数可超过 99
+    private static string FormatCueTime(double seconds)
+    {
+        var frames = (long)Math.Round(Math.Max(0, seconds) * CueFramesPerSecond);
+        var totalSeconds = frames / CueFramesPerSecond;
+        return $"{totalSeconds / 60:00}:{totalSeconds % 60:00}:{frames % CueFramesPerSecond:00}";
+    }
+
+    // CUE 字段不支持转义，双引号替换为单引号
+    private static string QuoteCue(string value) =>
+        value.Replace('"', '\'').Replace('\n', ' ').Replace('\r', ' ');
+}
@@ -0,0 +1,169 @@
+using System.Globalization;
+using System.Net;
+using System.Security.Cryptography;
+using System.Text;
+using System.Text.Encodings.Web;
+using System.Text.Json;
+using System.Text.Json.Serialization;
+using AIMusicCreator.Entity;
+using NAudio.Wave;
+
+namespace AIMusicCreator.Utils;
+
+/// <summary>
+/// 批量处理压缩包的清单（manifest.json）与试听页（index.html）
+/// </summary>
+public static class BatchArchiveUtils
+{
+    /// <summary>
+    /// 清单文件名
+    /// </summary>
+    public const string ManifestFileName = "manifest.json";
+
+    /// <summary>
+    /// 试听页文件名
+    /// </summary>
+    public const string IndexFileName = "index.html";
+
+    // 驼峰命名、缩进、省略空字段，中文与符号不转义便于直接阅读（清单只作为文件保存，不嵌入 HTML）
+    private static readonly JsonSerializerOptions ManifestJsonOptions = new(JsonSerializerDefaults.Web)
+    {
+        WriteIndented = true,
+        DefaultIgnoreCondition = JsonIgnoreCondition.WhenWritingNull,
+        Encoder = JavaScriptEncoder.UnsafeRelaxedJsonEscaping
+    };
+
+    /// <summary>
+    /// 压缩包内的输出路径：操作文件夹/文件名
+    /// </summary>
+    public static string OutputPath(string operation, string fileName) => $"{operation}/{fileName}";
+
+    /// <summary>
+    /// 计算 SHA-256，返回小写十六进制
+    /// </summary>
+    public static string ComputeSha256(byte[] data) => Convert.ToHexString(SHA256.HashData(data)).ToLowerInvariant();
+
+    /// <summary>
+    /// 从 WAV 文件头读取时长（数据块大小 / 每秒字节数），不解码音频
+    /// </summary>
+    /// <returns>不是 WAV 或文件头损坏时返回 null</returns>
+    public static double? ReadWavDuration(byte[] data)
+    {
+        if (!MidiUtils.IsWaveFile(data)) return null;
+
+        try
+        {
+            using var reader = new WaveFileReader(new MemoryStream(data));
+            return reader.TotalTime.TotalSeconds;
+        }
+        catch (Exception ex) when (ex is FormatException or EndOfStreamException or InvalidDataException)
+        {
+            return null;
+        }
+    }
+
+    /// <summary>
+    /// 序列化清单
+    /// </summary>
+    public static string ToManifestJson(BatchManifest manifest) => JsonSerializer.Serialize(manifest, ManifestJsonOptions);
+
+    /// <summary>
+    /// 生成试听页：每个操作一个表格，成功的文件可直接播放，失败的文件显示原因
+    /// </summary>
+    /// <remarks>
+    /// 页面与输出文件位于同一压缩包中，解压后用浏览器打开即可按相对路径播放，不依赖外部资源。
+    /// </remarks>
+    public static string ToIndexHtml(BatchManifest manifest)
+    {
+        var builder = new StringBuilder();
+        builder.Append("<!DOCTYPE html>\n<html lang=\"zh-CN\">\n<head>\n<meta charset=\"utf-8\">\n")
+            .Append("<title>批量处理结果</title>\n<style>\n")
+            .Append("body{font-family:system-ui,sans-serif;margin:2rem;color:#212529}\n")
+            .Append("table{border-collapse:collapse;width:100%;margin-bottom:2rem}\n")
+            .Append("th,td{border-bottom:1px solid #dee2e6;padding:.4rem .6rem;text-align:left;vertical-align:middle}\n")
+            .Append(".muted{color:#6c757d;font-size:.875em}.failed{color:#dc3545}code{font-size:.8em}\n")
+            .Append("</style>\n</head>\n<body>\n")
+            .Append("<h1>批量处理结果</h1>\n")
+            .Append("<p class=\"muted\">打包时间 ").Append(Encode(manifest.CreatedAt.ToString("yyyy-MM-dd HH:mm:ss", CultureInfo.InvariantCulture)))
+            .Append(" · 完整记录见 <a href=\"").Append(ManifestFileName).Append("\">").Append(ManifestFileName).Append("</a></p>\n");
+
+        foreach (var operation in manifest.Operations)
+        {
+            var succeeded = operation.Files.Count(f => f.Succeeded);
+            builder.Append("<h2>").Append(Encode(operation.Name)).Append(" <span class=\"muted\">")
+                .Append(Encode(operation.Operation)).Append("/ · 成功 ").Append(succeeded)
+                .Append(" 个，失败 ").Append(operation.Files.Count - succeeded).Append(" 个</span></h2>\n");
+
+            var parameters = DescribeParameters(operation.Parameters);
+            if (parameters.Length > 0)
+            {
+                builder.Append("<p>").Append(Encode(parameters)).Append("</p>\n");
+            }
+
+            builder.Append("<table>\n<thead><tr><th>源文件</th><th>输出</th><th>时长</th><th>试听</th><th>SHA-256</th></tr></thead>\n<tbody>\n");
+            foreach (var file in operation.Files)
+            {
+                builder.Append("<tr><td>").Append(Encode(file.Source))
+                    .Append("<div class=\"muted\">").Append(FormatSize(file.SourceSize))
+                    .Append(file.SourceDuration is { } sourceDuration ? $" · {TimeFormatUtils.FormatTime(sourceDuration)}" : "")
+                    .Append("</div></td>");
+
+                if (file.Succeeded && file.Output != null)
+                {
+                    var href = EncodePath(file.Output);
+                    var hash = file.Sha256 ?? string.Empty;
+                    builder.Append("<td><a href=\"").Append(href).Append("\">").Append(Encode(file.Output)).Append("</a>")
+                        .Append("<div class=\"muted\">").Append(FormatSize(file.OutputSize ?? 0)).Append("</div></td>")
+                        .Append("<td>").Append(file.Duration is { } duration ? TimeFormatUtils.FormatTime(duration) : "-").Append("</td>")
+                        .Append("<td><audio controls preload=\"none\" src=\"").Append(href).Append("\"></audio></td>")
+                        .Append("<td><code title=\"").Append(hash).Append("\">")
+                        .Append(hash.Length > 12 ? hash[..12] : hash).Append("</code></td>");
+                }
+                else
+                {
+                    builder.Append("<td colspan=\"4\" class=\"failed\">处理失败：").Append(Encode(file.Error ?? "未知错误")).Append("</td>");
+                }
+                builder.Append("</tr>\n");
+            }
+            builder.Append("</tbody>\n</table>\n");
+        }
+
+        builder.Append("</body>\n</html>\n");
+        return builder.ToString();
+    }
+
+    private static string DescribeParameters(BatchOperationParameters parameters)
+    {
+        var parts = new List<string>();
+        if (parameters.CutStart is { } start && parameters.CutEnd is { } end)
+        {
+            parts.Add($"裁剪范围 {TimeFormatUtils.FormatTime(start)} – {TimeFormatUtils.FormatTime(end)}");
+        }
+        if (parameters.DenoiseStrength is { } strength)
+        {
+            parts.Add($"降噪强度 {strength}");
+        }
+        if (parameters.TargetFormat is { } format)
+        {
+            parts.Add($"目标格式 {format.ToUpperInvariant()}");
+        }
+        if (parameters.Mp3Quality is { } quality)
+        {
+            parts.Add($"MP3 码率 {quality} kbps");
+        }
+        return string.Join(" · ", parts);
+    }
+
+    private static string Encode(string value) => WebUtility.HtmlEncode(value);
+
+    // 相对链接按路径段转义，保留目录分隔符
+    private static string EncodePath(string path) =>
+        string.Join('/', path.Split('/').Select(Uri.EscapeDataString));
+
+    private static string FormatSize(long bytes) => bytes switch
+    {
+        >= 1024 * 1024 => (bytes / 1024.0 / 1024.0).ToString("0.0", CultureInfo.InvariantCulture) + " MB",
+        >= 1024 => (bytes / 1024.0).ToString("0.0", CultureInfo.InvariantCulture) + " KB",
+        _ => $"{bytes} B"
+    };
+}
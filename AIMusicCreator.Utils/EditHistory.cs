@@ -0,0 +1,137 @@
+namespace AIMusicCreator.Utils;
+
+/// <summary>
+/// 编辑历史：按顺序保存每一步编辑后的状态快照，支持撤销、重做与跳转到任意一步
+/// 快照须视为不可变（字节数组只替换不修改、列表保存副本），恢复时由页面整体套用
+/// </summary>
+/// <typeparam name="TState">页面的可编辑状态</typeparam>
+/// <param name="limit">最多保留的步骤数（至少 2）</param>
+/// <param name="timeProvider">判断合并间隔与记录时间的时钟，默认为系统时钟</param>
+public class EditHistory<TState>(int limit = 100, TimeProvider? timeProvider = null)
+{
+    // 描述相同、间隔在此时间内的连续编辑合并为一步（拖动手柄、连续输入等）
+    private static readonly TimeSpan MergeWindow = TimeSpan.FromSeconds(1);
+
+    private readonly int _limit = Math.Max(2, limit);
+    private readonly TimeProvider _timeProvider = timeProvider ?? TimeProvider.System;
+    private readonly List<Entry> _entries = new();
+
+    /// <summary>
+    /// 历史中的一步
+    /// </summary>
+    public class Entry
+    {
+        public string Description { get; set; } = string.Empty;
+        public TState State { get; set; } = default!;
+        public DateTime Time { get; set; } = DateTime.Now;
+    }
+
+    /// <summary>
+    /// 全部步骤，按时间先后排列
+    /// </summary>
+    public IReadOnlyList<Entry> Entries => _entries;
+
+    /// <summary>
+    /// 当前状态所在的步骤，之后的步骤可以重做
+    /// </summary>
+    public int Position { get; private set; } = -1;
+
+    public bool CanUndo => Position > 0;
+
+    public bool CanRedo => Position < _entries.Count - 1;
+
+    /// <summary>
+    /// 当前步骤的状态
+    /// </summary>
+    public TState? Current => Position >= 0 ? _entries[Position].State : default;
+
+    /// <summary>
+    /// 历史中保存的全部状态（判断资源是否仍被引用时使用）
+    /// </summary>
+    public IEnumerable<TState> States => _entries.Select(e => e.State);
+
+    /// <summary>
+    /// 历史变化（记录、撤销、重做）后触发
+    /// </summary>
+    public event Action? Changed;
+
+    private DateTime Now => _timeProvider.GetLocalNow().DateTime;
+
+    /// <summary>
+    /// 清空历史并以 state 作为第一步
+    /// </summary>
+    /// <returns>被丢弃的状态，调用方据此释放不再引用的资源</returns>
+    public IReadOnlyList<TState> Reset(string description, TState state)
+    {
+        var dropped = States.ToList();
+        _entries.Clear();
+        _entries.Add(new Entry { Description = description, State = state, Time = Now });
+        Position = 0;
+        Changed?.Invoke();
+        return dropped;
+    }
+
+    /// <summary>
+    /// 记录一次编辑后的状态；撤销后再编辑会丢弃可重做的步骤，超出上限时丢弃最早的步骤
+    /// </summary>
+    /// <param name="description">显示在历史面板中的描述</param>
+    /// <param name="state">编辑后的状态</param>
+    /// <param name="merge">与上一步描述相同且间隔不超过 1 秒时替换上一步而不新增</param>
+    /// <returns>被丢弃的状态，调用方据此释放不再引用的资源</returns>
+    public IReadOnlyList<TState> Record(string description, TState state, bool merge = false)
+    {
+        var dropped = new List<TState>();
+        for (var i = _entries.Count - 1; i > Position; i--)
+        {
+            dropped.Add(_entries[i].State);
+            _entries.RemoveAt(i);
+        }
+
+        var now = Now;
+        var last = Position > 0 ? _entries[Position] : null;
+        if (merge && dropped.Count == 0 && last != null && last.Description == description
+            && now - last.Time <= MergeWindow)
+        {
+            dropped.Add(last.State);
+            last.State = state;
+            last.Time = now;
+        }
+        else
+        {
+            _entries.Add(new Entry { Description = description, State = state, Time = now });
+            Position = _entries.Count - 1;
+        }
+
+        while (_entries.Count > _limit)
+        {
+            dropped.Add(_entries[0].State);
+            _entries.RemoveAt(0);
+            Position--;
+        }
+
+        Changed?.Invoke();
+        return dropped;
+    }
+
+    /// <summary>
+    /// 撤销一步，返回要恢复的状态；无可撤销时返回 default
+    /// </summary>
+    public TState? Undo() => GoTo(Position - 1);
+
+    /// <summary>
+    /// 重做一步，返回要恢复的状态；无可重做时返回 default
+    /// </summary>
+    public TState? Redo() => GoTo(Position + 1);
+
+    /// <summary>
+    /// 跳转到第 index 步，返回要恢复的状态；超出范围或已在该步时返回 default
+    /// </summary>
+    public TState? GoTo(int index)
+    {
+        if (index < 0 || index >= _entries.Count || index == Position) return default;
+
+        Position = index;
+        Changed?.Invoke();
+        return _entries[index].State;
+    }
+}
@@ -0,0 +1,24 @@
+using System.Globalization;
+
+namespace AIMusicCreator.Utils;
+
+/// <summary>
+/// 音频时间的显示格式
+/// </summary>
+public static class TimeFormatUtils
+{
+    /// <summary>
+    /// 格式化为 m:ss.fff，满一小时时为 h:mm:ss.fff（小时数不按天折回）；负数按 0 处理
+    /// </summary>
+    /// <param name="seconds">秒数</param>
+    /// <param name="fractionDigits">秒的小数位数（0-3），多余位数截断而非四舍五入</param>
+    public static string FormatTime(double seconds, int fractionDigits = 3)
+    {
+        var time = TimeSpan.FromSeconds(Math.Max(0, seconds));
+        var fraction = fractionDigits > 0 ? @"\." + new string('f', Math.Min(fractionDigits, 3)) : string.Empty;
+
+        return time.TotalHours >= 1
+            ? ((int)time.TotalHours).ToString(CultureInfo.InvariantCulture) + time.ToString(@"\:mm\:ss" + fraction, CultureInfo.InvariantCulture)
+            : time.ToString(@"m\:ss" + fraction, CultureInfo.InvariantCulture);
+    }
+}
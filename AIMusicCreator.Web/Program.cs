@@ -33,6 +33,9 @@ builder.Services.AddScoped<CircuitHandler, AppCircuitHandler>();
 builder.Services.AddOutputCache();
 builder.Services.AddScoped<AIMusicCreator.Web.Services.JsInteropService>();
 builder.Services.AddScoped<ApiService>();
+builder.Services.AddScoped<AudioEditEngine>();
+builder.Services.AddScoped<ProjectStorageService>();
+builder.Services.AddScoped<ZipDownloadService>();
 // ���� HTTP �ͻ��˳�ʱ
 builder.Services.AddHttpClient("default", client =>
 {
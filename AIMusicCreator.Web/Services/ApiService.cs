@@ -281,16 +281,17 @@ namespace AIMusicCreator.Web.Services
         /// <param name="data"></param>
         /// <param name="fileName"></param>
         /// <param name="contentType"></param>
+        /// <param name="wavOptions">指定时在浏览器中按此格式重新编码为 WAV 后保存</param>
         /// <returns>任务完成时返回</returns>
         /// <exception cref="InvalidOperationException">当连接断开时抛出</exception>
         /// <exception cref="Exception">其他异常时抛出</exception>
         /// <remarks>
         /// 支持的文件类型：.mid, .midi, .wav, .mp3
         /// </remarks>
-        public async Task SaveFile(byte[] data, string fileName, string contentType)
+        public async Task SaveFile(byte[] data, string fileName, string contentType, AudioEditEngine.WavExportOptions? wavOptions = null)
         {
             var base64 = Convert.ToBase64String(data);
-            await _js.InvokeVoidAsync("saveFile", base64, fileName, contentType);
+            await _js.InvokeVoidAsync("saveFile", base64, fileName, contentType, wavOptions);
         }
         // 在ApiService中添加以下方法
         /// <summary>
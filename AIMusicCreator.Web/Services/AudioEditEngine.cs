@@ -0,0 +1,177 @@
+using Microsoft.JSInterop;
+
+namespace AIMusicCreator.Web.Services
+{
+    /// <summary>
+    /// 浏览器端剪辑引擎（wwwroot/js/audio-edit-engine.js）的封装
+    /// 音频在浏览器中解码一次后以句柄引用，反复裁剪、拼接不再上传整段音频
+    /// </summary>
+    public class AudioEditEngine(IJSRuntime jsRuntime)
+    {
+        private readonly IJSRuntime _jsRuntime = jsRuntime;
+
+        // 读取编码结果的上限
+        private const long MaxWavSize = 1024L * 1024 * 1024;
+
+        /// <summary>
+        /// 浏览器中已解码音频的句柄与基本信息
+        /// </summary>
+        public class EditBufferInfo
+        {
+            public string Id { get; set; } = string.Empty;
+            public double Duration { get; set; }
+            public int SampleRate { get; set; }
+            public int Channels { get; set; }
+        }
+
+        /// <summary>
+        /// 裁剪结果：Start/End 为实际裁剪点（吸附过零点后可能与请求的时间略有不同）
+        /// </summary>
+        public class CutResultInfo : EditBufferInfo
+        {
+            public double Start { get; set; }
+            public double End { get; set; }
+        }
+
+        /// <summary>
+        /// 裁剪选项
+        /// </summary>
+        public class CutOptions
+        {
+            /// <summary>
+            /// 将裁剪点移到 10 毫秒内最近的过零点，避免边界爆音
+            /// </summary>
+            public bool SnapToZeroCrossing { get; set; }
+
+            /// <summary>
+            /// 淡入时长（秒）
+            /// </summary>
+            public double FadeIn { get; set; }
+
+            /// <summary>
+            /// 淡出时长（秒）
+            /// </summary>
+            public double FadeOut { get; set; }
+
+            /// <summary>
+            /// 淡化曲线：linear、equal-power 或 exponential
+            /// </summary>
+            public string Curve { get; set; } = "equal-power";
+        }
+
+        /// <summary>
+        /// WAV 导出格式
+        /// </summary>
+        public class WavExportOptions
+        {
+            /// <summary>
+            /// 位深：16、24（整数 PCM）或 32（浮点）
+            /// </summary>
+            public int BitDepth { get; set; } = 16;
+
+            /// <summary>
+            /// 目标采样率，null 为保持原采样率
+            /// </summary>
+            public int? SampleRate { get; set; }
+
+            /// <summary>
+            /// 降低位深时加 TPDF 抖动（32 位浮点不使用）
+            /// </summary>
+            public bool Dither { get; set; } = true;
+        }
+
+        /// <summary>
+        /// 在浏览器中解码音频
+        /// </summary>
+        /// <param name="audioData">音频文件内容</param>
+        /// <returns>解码后的句柄；浏览器不支持该格式时返回 null，调用方应回退到服务器处理</returns>
+        public async Task<EditBufferInfo?> LoadAsync(byte[] audioData)
+        {
+            using var streamRef = new DotNetStreamReference(new MemoryStream(audioData), leaveOpen: false);
+            return await _jsRuntime.InvokeAsync<EditBufferInfo?>("audioEditInterop.load", streamRef);
+        }
+
+        /// <summary>
+        /// 截取 start..end 秒，返回新句柄（原句柄保持不变）
+        /// </summary>
+        public async Task<CutResultInfo> CutAsync(string id, double start, double end, CutOptions? options = null)
+        {
+            return await _jsRuntime.InvokeAsync<CutResultInfo>("audioEditInterop.cut", id, start, end, options);
+        }
+
+        /// <summary>
+        /// 对整段音频应用淡入淡出，返回新句柄
+        /// </summary>
+        /// <param name="curve">淡化曲线：linear、equal-power 或 exponential</param>
+        public async Task<EditBufferInfo> FadeAsync(string id, double fadeIn, double fadeOut, string curve = "equal-power")
+        {
+            return await _jsRuntime.InvokeAsync<EditBufferInfo>("audioEditInterop.fade", id, fadeIn, fadeOut, curve);
+        }
+
+        /// <summary>
+        /// 按顺序拼接，相邻两段重叠 crossfadeSeconds 秒交叉淡化，返回新句柄
+        /// </summary>
+        /// <param name="ids">要拼接的句柄</param>
+        /// <param name="crossfadeSeconds">交叉淡化时长，0 为直接拼接</param>
+        /// <param name="curve">淡化曲线：linear、equal-power 或 exponential</param>
+        public async Task<EditBufferInfo> JoinAsync(IEnumerable<string> ids, double crossfadeSeconds = 0, string curve = "equal-power")
+        {
+            return await _jsRuntime.InvokeAsync<EditBufferInfo>("audioEditInterop.join", ids, crossfadeSeconds, curve);
+        }
+
+        /// <summary>
+        /// 将句柄对应的音频编码为 WAV
+        /// </summary>
+        /// <param name="options">导出格式，null 为 16 位、保持采样率</param>
+        /// <returns>WAV 文件内容</returns>
+        public async Task<byte[]> ToWavAsync(string id, WavExportOptions? options = null)
+        {
+            await using var jsStream = await _jsRuntime.InvokeAsync<IJSStreamReference>("audioEditInterop.toWav", id, options);
+            await using var stream = await jsStream.OpenReadStreamAsync(MaxWavSize);
+            using var memory = new MemoryStream();
+            await stream.CopyToAsync(memory);
+            return memory.ToArray();
+        }
+
+        /// <summary>
+        /// 取得播放用的 blob URL（在浏览器中编码为 16 位 WAV，不经过服务器；释放句柄时一并回收）
+        /// </summary>
+        public async Task<string> GetUrlAsync(string id)
+        {
+            return await _jsRuntime.InvokeAsync<string>("audioEditInterop.url", id);
+        }
+
+        /// <summary>
+        /// 按导出格式编码并直接在浏览器中下载（不经过服务器）
+        /// </summary>
+        public async Task SaveWavAsync(string id, string fileName, WavExportOptions options)
+        {
+            await _jsRuntime.InvokeVoidAsync("audioEditInterop.save", id, fileName, options);
+        }
+
+        /// <summary>
+        /// 按导出格式编码并直接写入浏览器端的压缩包（不经过服务器）
+        /// </summary>
+        public async Task AddToZipAsync(ZipDownloadService.Archive archive, string id, string fileName, WavExportOptions options)
+        {
+            await _jsRuntime.InvokeVoidAsync("audioEditInterop.zip", archive.Id, id, fileName, options);
+        }
+
+        /// <summary>
+        /// 释放浏览器中的解码数据
+        /// </summary>
+        public async Task ReleaseAsync(params string[] ids)
+        {
+            if (ids.Length == 0) return;
+
+            try
+            {
+                await _jsRuntime.InvokeVoidAsync("audioEditInterop.release", (object)ids);
+            }
+            catch (JSDisconnectedException)
+            {
+                // 电路已断开，浏览器端数据随页面一起释放
+            }
+        }
+    }
+}
@@ -0,0 +1,76 @@
+using System.Text.Json;
+using System.Text.Json.Nodes;
+using Microsoft.JSInterop;
+
+namespace AIMusicCreator.Web.Services
+{
+    /// <summary>
+    /// 读写项目管理页保存在 localStorage 中的项目数据
+    /// 各页面只读写项目数据（ProjectData）中自己的字段，其余字段原样保留
+    /// </summary>
+    public class ProjectStorageService(IJSRuntime jsRuntime)
+    {
+        private readonly IJSRuntime _jsRuntime = jsRuntime;
+
+        // 与项目管理页使用相同的存储键
+        private const string StorageKey = "musicProjects";
+
+        /// <summary>
+        /// 读取项目数据中的字段
+        /// </summary>
+        /// <returns>项目或字段不存在时返回 default</returns>
+        public async Task<T?> GetProjectDataAsync<T>(Guid projectId, string key)
+        {
+            var (_, project) = await FindProjectAsync(projectId);
+            if (project == null) return default;
+
+            var data = ParseProjectData(project);
+            return data[key] is { } value ? value.Deserialize<T>() : default;
+        }
+
+        /// <summary>
+        /// 写入项目数据中的字段
+        /// </summary>
+        /// <returns>项目不存在时返回 false</returns>
+        public async Task<bool> SetProjectDataAsync<T>(Guid projectId, string key, T value)
+        {
+            var (projects, project) = await FindProjectAsync(projectId);
+            if (projects == null || project == null) return false;
+
+            var data = ParseProjectData(project);
+            data[key] = JsonSerializer.SerializeToNode(value);
+            project["ProjectData"] = data.ToJsonString();
+            await _jsRuntime.InvokeVoidAsync("localStorage.setItem", StorageKey, projects.ToJsonString());
+            return true;
+        }
+
+        /// <summary>
+        /// 项目名称，项目不存在时返回 null
+        /// </summary>
+        public async Task<string?> GetProjectNameAsync(Guid projectId)
+        {
+            var (_, project) = await FindProjectAsync(projectId);
+            return project?["Name"]?.GetValue<string>();
+        }
+
+        private async Task<(JsonArray? Projects, JsonObject? Project)> FindProjectAsync(Guid projectId)
+        {
+            var json = await _jsRuntime.InvokeAsync<string?>("localStorage.getItem", StorageKey);
+            if (string.IsNullOrEmpty(json) || JsonNode.Parse(json) is not JsonArray projects)
+            {
+                return (null, null);
+            }
+
+            var project = projects.OfType<JsonObject>()
+                .FirstOrDefault(p => Guid.TryParse(p["Id"]?.GetValue<string>(), out var id) && id == projectId);
+            return (projects, project);
+        }
+
+        // 项目数据以 JSON 字符串保存在 ProjectData 字段中
+        private static JsonObject ParseProjectData(JsonObject project)
+        {
+            var json = project["ProjectData"]?.GetValue<string>();
+            return !string.IsNullOrEmpty(json) && JsonNode.Parse(json) is JsonObject data ? data : new JsonObject();
+        }
+    }
+}
@@ -0,0 +1,119 @@
+using Microsoft.JSInterop;
+
+namespace AIMusicCreator.Web.Services
+{
+    /// <summary>
+    /// 浏览器端流式 ZIP 打包下载（wwwroot/js/zip-writer.js）的封装
+    /// 文件逐个以流传给浏览器并边读边写入压缩包，不再拼接 base64 字符串
+    /// </summary>
+    public class ZipDownloadService(IJSRuntime jsRuntime)
+    {
+        private readonly IJSRuntime _jsRuntime = jsRuntime;
+
+        /// <summary>
+        /// 开始写入压缩包；浏览器支持时由用户选择保存位置并直接写入磁盘，否则写完后下载
+        /// </summary>
+        /// <param name="fileName">压缩包文件名</param>
+        /// <returns>用户取消选择保存位置时返回 null</returns>
+        public async Task<Archive?> CreateAsync(string fileName)
+        {
+            var id = await _jsRuntime.InvokeAsync<int?>("zipInterop.create", fileName);
+            return id is { } archiveId ? new Archive(_jsRuntime, archiveId) : null;
+        }
+
+        /// <summary>
+        /// 把一组文件打包下载
+        /// </summary>
+        /// <returns>用户取消保存时返回 false</returns>
+        public async Task<bool> DownloadAsync(string fileName, IEnumerable<(string Name, byte[] Data)> files)
+        {
+            await using var archive = await CreateAsync(fileName);
+            if (archive == null) return false;
+
+            foreach (var (name, data) in files)
+            {
+                await archive.AddAsync(name, data);
+            }
+            await archive.CompleteAsync();
+            return true;
+        }
+
+        /// <summary>
+        /// 正在写入的压缩包；未调用 CompleteAsync 就释放时放弃写入
+        /// </summary>
+        public class Archive : IAsyncDisposable
+        {
+            private readonly IJSRuntime _jsRuntime;
+            private bool _finished;
+
+            internal Archive(IJSRuntime jsRuntime, int id)
+            {
+                _jsRuntime = jsRuntime;
+                Id = id;
+            }
+
+            /// <summary>
+            /// 浏览器端的压缩包 id（供其他 JS 模块直接写入，如剪辑引擎的 WAV 编码结果）
+            /// </summary>
+            public int Id { get; }
+
+            /// <summary>
+            /// 添加文件
+            /// </summary>
+            /// <param name="name">压缩包内的路径，可用 "/" 分隔目录；重名时自动追加序号</param>
+            /// <param name="data">文件内容</param>
+            /// <param name="compress">是否 deflate 压缩，null 为按扩展名自动选择（已压缩的音频格式直接存储）</param>
+            /// <returns>压缩包内的实际路径</returns>
+            public async Task<string> AddAsync(string name, byte[] data, bool? compress = null)
+            {
+                return await AddAsync(name, new MemoryStream(data), compress);
+            }
+
+            /// <summary>
+            /// 从流添加文件，流在写入后关闭
+            /// </summary>
+            /// <returns>压缩包内的实际路径</returns>
+            public async Task<string> AddAsync(string name, Stream stream, bool? compress = null)
+            {
+                using var streamRef = new DotNetStreamReference(stream, leaveOpen: false);
+                return await _jsRuntime.InvokeAsync<string>("zipInterop.add", Id, name, streamRef, new
+                {
+                    compress = (object?)compress ?? "auto"
+                });
+            }
+
+            /// <summary>
+            /// 添加 UTF-8 文本文件
+            /// </summary>
+            /// <returns>压缩包内的实际路径</returns>
+            public async Task<string> AddTextAsync(string name, string text)
+            {
+                return await _jsRuntime.InvokeAsync<string>("zipInterop.addText", Id, name, text);
+            }
+
+            /// <summary>
+            /// 写入目录并保存压缩包
+            /// </summary>
+            public async Task CompleteAsync()
+            {
+                _finished = true;
+                await _jsRuntime.InvokeVoidAsync("zipInterop.close", Id);
+            }
+
+            public async ValueTask DisposeAsync()
+            {
+                if (_finished) return;
+                _finished = true;
+
+                try
+                {
+                    await _jsRuntime.InvokeVoidAsync("zipInterop.abort", Id);
+                }
+                catch (JSDisconnectedException)
+                {
+                    // 电路已断开，浏览器端数据随页面一起释放
+                }
+            }
+        }
+    }
+}
@@ -0,0 +1,207 @@
+// 浏览器端剪辑引擎：每个文件只解码一次，裁剪、拼接与交叉淡化都在 AudioBuffer 上完成，结果由 wav-encoder.js 编码
+// .NET 端持有句柄 id，不再为每次修剪上传整段音频；结果以 blob URL 在浏览器中播放，只有交给服务器处理时才把 WAV 读回 .NET
+// 依赖 visualizer.js（getAudioContext）、wav-encoder.js（renderWav）与 zip-writer.js（getZipWriter）
+
+// 句柄 id -> AudioBuffer
+const editBuffers = new Map();
+let nextEditBufferId = 1;
+// 句柄 id -> 播放用 blob URL 的 Promise（首次请求时编码，释放句柄时回收）
+const editBufferUrls = new Map();
+
+// 吸附过零点时在裁剪点两侧搜索的范围（秒）
+const ZERO_CROSSING_RADIUS = 0.01;
+// 指数淡化的动态范围（dB），曲线在分贝刻度上线性变化
+const EXPONENTIAL_FADE_RANGE_DB = 60;
+
+// 保存缓冲区并返回 { id, duration, sampleRate, channels }
+function storeEditBuffer(buffer) {
+    const id = `edit-${nextEditBufferId++}`;
+    editBuffers.set(id, buffer);
+    return { id, duration: buffer.duration, sampleRate: buffer.sampleRate, channels: buffer.numberOfChannels };
+}
+
+function getEditBuffer(id) {
+    const buffer = editBuffers.get(id);
+    if (!buffer) throw new Error(`音频句柄不存在或已释放: ${id}`);
+    return buffer;
+}
+
+function createEditBuffer(channels, length, sampleRate) {
+    return new AudioBuffer({ numberOfChannels: channels, length: Math.max(1, length), sampleRate });
+}
+
+// 取第 channel 个声道，声道不足时复用最后一个（单声道与立体声拼接时扩展为立体声）
+function editChannelData(buffer, channel) {
+    return buffer.getChannelData(Math.min(channel, buffer.numberOfChannels - 1));
+}
+
+// 淡入增益：position 为淡化区内 0..1 的位置；curve 为 "linear" | "equal-power" | "exponential"
+// 淡出使用 fadeGain(1 - position)，波形选区绘制淡化包络时也使用此函数
+function fadeGain(position, curve) {
+    if (position <= 0) return 0;
+    if (position >= 1) return 1;
+
+    switch (curve) {
+        case "linear":
+            return position;
+        case "exponential":
+            return Math.pow(10, (position - 1) * EXPONENTIAL_FADE_RANGE_DB / 20);
+        default:
+            return Math.sin(position * Math.PI / 2);
+    }
+}
+
+// 交叉淡化增益：返回 [淡出段增益, 淡入段增益]
+function crossfadeGains(position, curve) {
+    return [fadeGain(1 - position, curve), fadeGain(position, curve)];
+}
+
+// 在 index 附近 radius 个样本内寻找最近的过零点（各声道平均后符号变化处取较接近 0 的一侧），找不到时返回 index
+function findZeroCrossing(buffer, index, radius) {
+    const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+    const sampleAt = (i) => channels.reduce((sum, data) => sum + data[i], 0) / channels.length;
+
+    for (let distance = 0; distance <= radius; distance++) {
+        for (const i of [index - distance, index + distance]) {
+            if (i <= 0 || i >= buffer.length) continue;
+
+            const previous = sampleAt(i - 1);
+            const current = sampleAt(i);
+            if (current === 0 || previous === 0 || (previous < 0) !== (current < 0)) {
+                return Math.abs(previous) < Math.abs(current) ? i - 1 : i;
+            }
+        }
+    }
+    return index;
+}
+
+// 就地对开头 fadeIn 秒、结尾 fadeOut 秒应用淡入淡出
+function applyFades(buffer, fadeIn, fadeOut, curve) {
+    const inSamples = Math.min(buffer.length, Math.round(Math.max(0, fadeIn) * buffer.sampleRate));
+    const outSamples = Math.min(buffer.length, Math.round(Math.max(0, fadeOut) * buffer.sampleRate));
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        const data = buffer.getChannelData(c);
+        for (let i = 0; i < inSamples; i++) {
+            data[i] *= fadeGain((i + 0.5) / inSamples, curve);
+        }
+        for (let i = 0; i < outSamples; i++) {
+            data[buffer.length - 1 - i] *= fadeGain((i + 0.5) / outSamples, curve);
+        }
+    }
+}
+
+// 截取 start..end 秒（按样本取整）
+function cutEditBuffer(buffer, start, end) {
+    const rate = buffer.sampleRate;
+    const from = Math.max(0, Math.min(buffer.length, Math.round(start * rate)));
+    const to = Math.max(from, Math.min(buffer.length, Math.round(end * rate)));
+    const result = createEditBuffer(buffer.numberOfChannels, to - from, rate);
+    for (let c = 0; c < buffer.numberOfChannels; c++) {
+        result.copyToChannel(buffer.getChannelData(c).subarray(from, to), c);
+    }
+    return result;
+}
+
+// 依次拼接，相邻两段重叠 crossfade 秒交叉淡化（重叠不超过较短一段的一半）
+// 解码结果都已重采样到音频上下文的采样率，这里不再做采样率转换
+function joinEditBuffers(buffers, crossfade, curve) {
+    const rate = buffers[0].sampleRate;
+    const channels = Math.max(...buffers.map(buffer => buffer.numberOfChannels));
+    const overlaps = buffers.slice(1).map((buffer, i) =>
+        Math.min(Math.round(crossfade * rate), Math.floor(Math.min(buffers[i].length, buffer.length) / 2)));
+    const length = buffers.reduce((sum, buffer) => sum + buffer.length, 0) - overlaps.reduce((sum, n) => sum + n, 0);
+    const result = createEditBuffer(channels, length, rate);
+
+    for (let c = 0; c < channels; c++) {
+        const target = result.getChannelData(c);
+        let offset = 0;
+        buffers.forEach((buffer, i) => {
+            const source = editChannelData(buffer, c);
+            const overlap = i > 0 ? overlaps[i - 1] : 0;
+            // 重叠区：已写入的上一段尾部淡出，与本段开头淡入相加
+            for (let j = 0; j < overlap; j++) {
+                const [fadeOut, fadeIn] = crossfadeGains((j + 0.5) / overlap, curve);
+                target[offset + j] = target[offset + j] * fadeOut + source[j] * fadeIn;
+            }
+            target.set(source.subarray(overlap), offset + overlap);
+            offset += buffer.length - (i < overlaps.length ? overlaps[i] : 0);
+        });
+    }
+    return result;
+}
+
+window.audioEditInterop = {
+    // 解码 .NET 传来的音频（DotNetStreamReference）；浏览器无法解码时返回 null，由调用方回退到服务器处理
+    async load(streamRef) {
+        try {
+            const bytes = await streamRef.arrayBuffer();
+            return storeEditBuffer(await getAudioContext().decodeAudioData(bytes));
+        } catch (e) {
+            console.warn("浏览器无法解码该音频，改用服务器处理:", e);
+            return null;
+        }
+    },
+
+    // 截取片段，返回新句柄及实际起止 { id, ..., start, end }
+    // options: { snapToZeroCrossing, fadeIn, fadeOut, curve }，吸附过零点时起止可能移动至多 10 毫秒
+    cut(id, start, end, options) {
+        const buffer = getEditBuffer(id);
+        const rate = buffer.sampleRate;
+        if (options?.snapToZeroCrossing) {
+            const radius = Math.round(ZERO_CROSSING_RADIUS * rate);
+            start = findZeroCrossing(buffer, Math.round(start * rate), radius) / rate;
+            end = findZeroCrossing(buffer, Math.round(end * rate), radius) / rate;
+        }
+
+        const result = cutEditBuffer(buffer, start, end);
+        applyFades(result, options?.fadeIn ?? 0, options?.fadeOut ?? 0, options?.curve);
+        return { ...storeEditBuffer(result), start, end };
+    },
+
+    // 对整段音频应用淡入淡出（如服务器裁剪的结果），返回新句柄
+    fade(id, fadeIn, fadeOut, curve) {
+        const buffer = getEditBuffer(id);
+        const result = cutEditBuffer(buffer, 0, buffer.duration);
+        applyFades(result, fadeIn, fadeOut, curve);
+        return storeEditBuffer(result);
+    },
+
+    // 按顺序拼接，curve 为 "linear" | "equal-power" | "exponential"，返回新句柄
+    join(ids, crossfade, curve) {
+        return storeEditBuffer(joinEditBuffers(ids.map(getEditBuffer), Math.max(0, crossfade || 0), curve));
+    },
+
+    // 编码为 WAV，.NET 端以 IJSStreamReference 读取；options 见 wav-encoder.js 的 normalizeWavOptions
+    async toWav(id, options) {
+        return await renderWav(getEditBuffer(id), options);
+    },
+
+    // 播放用的 blob URL：编码为 16 位 WAV 后留在浏览器中，不经过 .NET
+    async url(id) {
+        const buffer = getEditBuffer(id);
+        if (!editBufferUrls.has(id)) {
+            const task = renderWav(buffer, { bitDepth: 16 }).then(blob => URL.createObjectURL(blob));
+            task.catch(() => editBufferUrls.delete(id));
+            editBufferUrls.set(id, task);
+        }
+        return await editBufferUrls.get(id);
+    },
+
+    // 按导出选项编码并直接在浏览器中下载，保留浮点精度且不经过 .NET 往返
+    async save(id, fileName, options) {
+        downloadBlob(await renderWav(getEditBuffer(id), options), toWavFileName(fileName));
+    },
+
+    // 按导出选项编码并写入 zip-writer.js 中的压缩包
+    async zip(zipId, id, fileName, options) {
+        await getZipWriter(zipId).add(toWavFileName(fileName), await renderWav(getEditBuffer(id), options));
+    },
+
+    release(ids) {
+        ids.forEach(id => {
+            editBuffers.delete(id);
+            editBufferUrls.get(id)?.then(url => URL.revokeObjectURL(url), () => { });
+            editBufferUrls.delete(id);
+        });
+    }
+};
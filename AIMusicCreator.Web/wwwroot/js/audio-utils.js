@@ -1,79 +1,171 @@
-﻿// 预览音频片段
-function previewAudioSegment(audioUrl, start, end) {
-    const audio = new Audio(audioUrl);
-
-    audio.addEventListener('loadedmetadata', () => {
-        audio.currentTime = start;
-        audio.play();
-
-        // 到结束时间自动暂停
-        const interval = setInterval(() => {
-            if (audio.currentTime >= end) {
-                audio.pause();
-                clearInterval(interval);
-            }
-        }, 100);
-    });
+﻿// 预览音频片段：用 AudioBufferSourceNode 在精确的样本位置开始和结束；音频已在剪辑引擎中解码时直接使用，否则解码整段音频
+// 可选循环，循环接缝处做短交叉淡化；同一时间只有一个预览，开始新预览会先停止上一个
+// 依赖 visualizer.js 中的共享音频上下文（getAudioContext），淡入淡出曲线取自 audio-edit-engine.js（fadeGain）
 
-    audio.addEventListener('error', (e) => {
-        alert('片段预览失败: ' + e.message);
-    });
+// 循环接缝的交叉淡化时长（秒）
+const PREVIEW_CROSSFADE = 0.01;
+// 停止时的淡出时长（秒），避免截断产生爆音
+const PREVIEW_STOP_FADE = 0.005;
+// 循环时提前调度下一遍的时间（秒）
+const PREVIEW_SCHEDULE_AHEAD = 1;
+
+// 最近一次解码的音频（同一文件反复预览时不再解码）
+let previewBufferCache = { url: null, buffer: null };
+// 当前正在播放的预览
+let activePreview = null;
+
+// 没有剪辑引擎句柄时从播放器的音频地址解码
+async function decodePreviewBuffer(audioUrl) {
+    if (previewBufferCache.url !== audioUrl) {
+        const response = await fetch(audioUrl);
+        const buffer = await getAudioContext().decodeAudioData(await response.arrayBuffer());
+        previewBufferCache = { url: audioUrl, buffer };
+    }
+    return previewBufferCache.buffer;
+}
+
+// 按剪辑淡化曲线（linear / equal-power / exponential）生成增益曲线
+function fadeCurveValues(rising, curve) {
+    const values = new Float32Array(128);
+    for (let i = 0; i < values.length; i++) {
+        const position = i / (values.length - 1);
+        values[i] = fadeGain(rising ? position : 1 - position, curve);
+    }
+    return values;
 }
 
-// 拖拽排序（用于音频拼接列表）
-document.addEventListener('DOMContentLoaded', () => {
-    const joinList = document.getElementById('joinList');
-    if (joinList) {
-        new Sortable(joinList, {
-            animation: 150,
-            ghostClass: 'bg-light',
-            onEnd: (e) => {
-                // 前端排序已完成，无需额外处理（后端拼接时按当前顺序）
+class SegmentPreview {
+    constructor(buffer, start, end, loop, fades) {
+        const context = getAudioContext();
+        const rate = buffer.sampleRate;
+        this.context = context;
+        this.buffer = buffer;
+        // 起止对齐到样本
+        this.start = Math.round(Math.max(0, start) * rate) / rate;
+        this.end = Math.round(Math.min(end, buffer.duration) * rate) / rate;
+        this.loop = loop;
+        this.length = this.end - this.start;
+        // 片段过短时缩短交叉淡化，保证每遍至少一半是完整音量
+        this.crossfade = loop ? Math.min(PREVIEW_CROSSFADE, this.length / 4) : 0;
+        this.period = this.length - this.crossfade;
+        // 选区淡入淡出 { fadeIn, fadeOut, curve }，每一遍都应用
+        this.fades = fades;
+        this.sources = new Set();
+        this.playing = true;
+        // 播放自然结束时调用（循环预览不会自然结束）
+        this.onended = null;
+
+        this.output = context.createGain();
+        this.output.connect(context.destination);
+        this.startTime = context.currentTime + 0.05;
+        this.nextIteration = 0;
+        this.schedule();
+    }
+
+    // 当前在文件中的播放位置（秒）
+    get currentTime() {
+        const elapsed = Math.max(0, this.context.currentTime - this.startTime);
+        if (this.loop) return this.start + elapsed % this.period;
+        return Math.min(this.end, this.start + elapsed);
+    }
+
+    // 调度从现在起 PREVIEW_SCHEDULE_AHEAD 秒内开始的各遍播放
+    schedule() {
+        const horizon = this.context.currentTime + PREVIEW_SCHEDULE_AHEAD;
+        while (this.playing && (this.nextIteration === 0 || this.loop)) {
+            const when = this.startTime + this.nextIteration * this.period;
+            if (when > horizon) break;
+            this.scheduleIteration(when, this.nextIteration);
+            this.nextIteration++;
+        }
+
+        if (this.playing && this.loop) {
+            this.timer = setTimeout(() => this.schedule(), PREVIEW_SCHEDULE_AHEAD * 500);
+        }
+    }
+
+    scheduleIteration(when, iteration) {
+        const source = this.context.createBufferSource();
+        source.buffer = this.buffer;
+        const gain = this.context.createGain();
+        const fade = this.context.createGain();
+        source.connect(fade).connect(gain).connect(this.output);
+
+        const { fadeIn, fadeOut, curve } = this.fades;
+        if (fadeIn > 0) {
+            fade.gain.setValueCurveAtTime(fadeCurveValues(true, curve), when, Math.min(fadeIn, this.length));
+        }
+        if (fadeOut > 0) {
+            const duration = Math.min(fadeOut, this.length - Math.min(fadeIn, this.length));
+            if (duration > 0) {
+                fade.gain.setValueCurveAtTime(fadeCurveValues(false, curve), when + this.length - duration, duration);
             }
-        });
+        }
+
+        if (this.crossfade > 0) {
+            if (iteration > 0) {
+                gain.gain.setValueCurveAtTime(fadeCurveValues(true, "equal-power"), when, this.crossfade);
+            }
+            gain.gain.setValueCurveAtTime(fadeCurveValues(false, "equal-power"), when + this.length - this.crossfade, this.crossfade);
+        }
+
+        source.onended = () => {
+            this.sources.delete(source);
+            gain.disconnect();
+            fade.disconnect();
+            if (!this.loop && this.playing && this.sources.size === 0) {
+                this.release();
+                this.onended?.();
+            }
+        };
+        source.start(when, this.start, this.length);
+        this.sources.add(source);
     }
-});
 
-// 多轨混音：设置音频音量
-function setAudioVolume(audioElement, volume) {
-    audioElement.volume = volume;
-}
+    stop() {
+        if (!this.playing) return;
 
-// 多轨混音：播放音频
-function playAudio(audioElement) {
-    audioElement.play().catch(err => console.error("播放失败:", err));
-}
+        const now = this.context.currentTime;
+        this.output.gain.setValueAtTime(this.output.gain.value, now);
+        this.output.gain.linearRampToValueAtTime(0, now + PREVIEW_STOP_FADE);
+        this.sources.forEach(source => source.stop(now + PREVIEW_STOP_FADE));
+        this.release();
+    }
 
-// 多轨混音：暂停音频
-function pauseAudio(audioElement) {
-    audioElement.pause();
+    release() {
+        this.playing = false;
+        clearTimeout(this.timer);
+        if (activePreview === this) activePreview = null;
+        setTimeout(() => this.output.disconnect(), 100);
+    }
 }
 
-// 格式转换：打包下载ZIP（依赖JSZip库）
-async function downloadZip(zipName, files) {
-    // 动态加载JSZip库
-    if (!window.JSZip) {
-        const script = document.createElement('script');
-        script.src = 'https://cdn.jsdelivr.net/npm/jszip@3.10.1/dist/jszip.min.js';
-        document.head.appendChild(script);
-        // 等待库加载完成
-        await new Promise(resolve => script.onload = resolve);
-    }
+// 返回 SegmentPreview（playing、currentTime、stop()、onended），解码失败时返回 null
+// options.loop 为 true 时循环播放，直到调用 stop() 或开始新的预览
+// options.fadeIn / fadeOut（秒）与 options.curve 为片段的淡入淡出；source 为已解码的 AudioBuffer 或音频地址
+async function previewAudioSegment(source, start, end, options) {
+    stopAudioPreview();
+
+    try {
+        const buffer = source instanceof AudioBuffer ? source : await decodePreviewBuffer(source);
+        // 解码期间可能已开始了另一个预览
+        stopAudioPreview();
+        if (Math.min(end, buffer.duration) <= start) return null;
 
-    const zip = new JSZip();
-    // 添加文件到ZIP
-    for (const file of files) {
-        zip.file(file.Name, file.Data, { base64: true });
+        activePreview = new SegmentPreview(buffer, start, end, !!options?.loop, {
+            fadeIn: options?.fadeIn ?? 0,
+            fadeOut: options?.fadeOut ?? 0,
+            curve: options?.curve
+        });
+        return activePreview;
+    } catch (e) {
+        alert('片段预览失败: ' + e.message);
+        return null;
     }
+}
 
-    // 生成ZIP并下载
-    const content = await zip.generateAsync({ type: 'blob' });
-    const url = URL.createObjectURL(content);
-    const a = document.createElement('a');
-    a.href = url;
-    a.download = zipName;
-    document.body.appendChild(a);
-    a.click();
-    document.body.removeChild(a);
-    URL.revokeObjectURL(url);
+// 停止当前预览
+function stopAudioPreview() {
+    activePreview?.stop();
+    activePreview = null;
 }
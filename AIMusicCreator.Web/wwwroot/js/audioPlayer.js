@@ -94,7 +94,13 @@ export function waitForAudioLoad(audioElement) {
         audioElement.addEventListener('error', onError);
     });
 }
-export function saveFile(base64Data, fileName, contentType) {
+export function saveFile(base64Data, fileName, contentType, wavOptions) {
+    // 指定了 WAV 导出格式（位深、采样率、抖动）时交给 wav-encoder.js 在浏览器中重新编码
+    if (wavOptions && window.wavEncoderInterop) {
+        const bytes = Uint8Array.from(atob(base64Data), c => c.charCodeAt(0));
+        return window.wavEncoderInterop.save(bytes, fileName, wavOptions);
+    }
+
     // 创建下载链接
     const link = document.createElement('a');
     link.href = `data:${contentType};base64,${base64Data}`;
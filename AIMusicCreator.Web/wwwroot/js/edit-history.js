@@ -0,0 +1,52 @@
+// 编辑历史快捷键：Ctrl+Z 撤销，Ctrl+Shift+Z / Ctrl+Y 重做（macOS 上为 Cmd），回调 .NET 的 OnShortcut(redo)
+// 焦点在文本输入框中时保留浏览器自身的撤销；同时注册多个历史面板时只有最后注册的生效
+
+// 注册 id -> .NET 回调对象，按注册顺序排列
+const historyShortcuts = new Map();
+let nextHistoryShortcutId = 1;
+
+// 这些类型的 input 由浏览器处理撤销
+const TEXT_INPUT_TYPES = new Set(["text", "search", "url", "tel", "email", "password", "number"]);
+
+function isTextEditing(target) {
+    if (!(target instanceof Element)) return false;
+    if (target.isContentEditable || target.tagName === "TEXTAREA") return true;
+    return target.tagName === "INPUT" && TEXT_INPUT_TYPES.has(target.type);
+}
+
+// 返回 null 表示不是历史快捷键，否则返回是否为重做
+function historyShortcut(e) {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return null;
+
+    const key = e.key.toLowerCase();
+    if (key === "z") return e.shiftKey;
+    if (key === "y" && !e.shiftKey) return true;
+    return null;
+}
+
+function onHistoryKeyDown(e) {
+    if (e.defaultPrevented || historyShortcuts.size === 0 || isTextEditing(e.target)) return;
+
+    const redo = historyShortcut(e);
+    if (redo === null) return;
+
+    e.preventDefault();
+    const dotNetHelper = [...historyShortcuts.values()].pop();
+    dotNetHelper.invokeMethodAsync("OnShortcut", redo).catch(() => { });
+}
+
+window.editHistoryInterop = {
+    // 注册快捷键回调，返回用于注销的 id
+    attach(dotNetHelper) {
+        if (historyShortcuts.size === 0) document.addEventListener("keydown", onHistoryKeyDown);
+
+        const id = nextHistoryShortcutId++;
+        historyShortcuts.set(id, dotNetHelper);
+        return id;
+    },
+
+    detach(id) {
+        historyShortcuts.delete(id);
+        if (historyShortcuts.size === 0) document.removeEventListener("keydown", onHistoryKeyDown);
+    }
+};
@@ -0,0 +1,195 @@
+// 拼接列表：鼠标拖动排序（SortableJS）、从桌面拖入音频文件到指定位置、键盘排序
+// 列表顺序以 .NET 端为准：拖动结束后还原 DOM，只把 (from, to) 报告给 .NET，由 Blazor 按新顺序重新渲染
+// 列表项需带 join-list-item 类并可获得焦点；.NET 回调 OnJoinListReordered(from, to) 与 OnJoinFilesDropped(index, files)
+
+// 注册 id -> JoinList
+const joinLists = new Map();
+let nextJoinListId = 1;
+
+const JOIN_LIST_ITEM_SELECTOR = ".join-list-item";
+// 可拖入的音频扩展名（部分系统拖入的文件没有 MIME 类型）
+const JOIN_LIST_AUDIO_EXTENSIONS = /\.(wav|mp3|ogg|oga|flac|m4a|aac|webm|aiff?)$/i;
+
+class JoinList {
+    constructor(element, dotNetHelper) {
+        this.element = element;
+        this.dotNetHelper = dotNetHelper;
+        // 桌面拖入时的插入位置，null 表示未在拖入
+        this.dropIndex = null;
+
+        // SortableJS 由 CDN 引入，加载失败时仍可用键盘排序
+        if (typeof Sortable !== "undefined") {
+            this.sortable = new Sortable(element, {
+                animation: 150,
+                ghostClass: "bg-light",
+                draggable: JOIN_LIST_ITEM_SELECTOR,
+                filter: "button, input, select",
+                preventOnFilter: false,
+                onStart: (e) => { this.dragNext = e.item.nextSibling; },
+                onEnd: (e) => this.onSortEnd(e)
+            });
+        }
+
+        this.listeners = {
+            keydown: (e) => this.onKeyDown(e),
+            dragover: (e) => this.onDragOver(e),
+            dragleave: (e) => this.onDragLeave(e),
+            drop: (e) => this.onDrop(e)
+        };
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            element.addEventListener(type, listener);
+        }
+    }
+
+    items() {
+        return [...this.element.querySelectorAll(JOIN_LIST_ITEM_SELECTOR)];
+    }
+
+    // 拖动排序结束：还原 SortableJS 对 DOM 的移动，避免与 Blazor 的渲染结果不一致
+    onSortEnd(e) {
+        const from = e.oldDraggableIndex;
+        const to = e.newDraggableIndex;
+        e.from.insertBefore(e.item, this.dragNext ?? null);
+        this.dragNext = null;
+        if (from !== to) this.reorder(from, to, false);
+    }
+
+    async reorder(from, to, keepFocus) {
+        try {
+            await this.dotNetHelper.invokeMethodAsync("OnJoinListReordered", from, to);
+        } catch (err) {
+            console.error("拼接列表排序失败:", err);
+            return;
+        }
+        // Blazor 已按新顺序渲染，焦点跟随移动的项
+        if (keepFocus) this.items()[to]?.focus();
+    }
+
+    // 焦点在列表项上时：↑/↓ 切换焦点，Alt+↑/↓ 上下移动，Alt+Home/End 移到首尾
+    onKeyDown(e) {
+        const item = e.target.closest?.(JOIN_LIST_ITEM_SELECTOR);
+        if (!item || item !== e.target) return;
+
+        const items = this.items();
+        const index = items.indexOf(item);
+        const last = items.length - 1;
+        let target;
+        switch (e.key) {
+            case "ArrowUp":
+                target = index - 1;
+                break;
+            case "ArrowDown":
+                target = index + 1;
+                break;
+            case "Home":
+                target = 0;
+                break;
+            case "End":
+                target = last;
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+        target = Math.max(0, Math.min(last, target));
+        if (target === index) return;
+
+        if (e.altKey) {
+            this.reorder(index, target, true);
+        } else {
+            items[target].focus();
+        }
+    }
+
+    // 只处理从桌面拖入的文件，列表内的拖动排序由 SortableJS 处理
+    isFileDrag(e) {
+        return e.dataTransfer && [...e.dataTransfer.types].includes("Files");
+    }
+
+    // 按指针位置计算插入位置：落在某项上半部分时插到它之前，否则插到它之后
+    indexAt(clientY) {
+        const items = this.items();
+        const index = items.findIndex(item => {
+            const rect = item.getBoundingClientRect();
+            return clientY < rect.top + rect.height / 2;
+        });
+        return index < 0 ? items.length : index;
+    }
+
+    onDragOver(e) {
+        if (!this.isFileDrag(e)) return;
+
+        e.preventDefault();
+        e.dataTransfer.dropEffect = "copy";
+        this.showDropIndicator(this.indexAt(e.clientY));
+    }
+
+    onDragLeave(e) {
+        // 移入子元素时也会触发 dragleave，只在离开整个列表时清除
+        if (!this.element.contains(e.relatedTarget)) this.showDropIndicator(null);
+    }
+
+    async onDrop(e) {
+        if (!this.isFileDrag(e)) return;
+
+        e.preventDefault();
+        const index = this.indexAt(e.clientY);
+        this.showDropIndicator(null);
+
+        const files = [...e.dataTransfer.files].filter(file =>
+            file.type.startsWith("audio/") || JOIN_LIST_AUDIO_EXTENSIONS.test(file.name));
+        if (files.length === 0) {
+            alert("请拖入音频文件");
+            return;
+        }
+
+        try {
+            await this.dotNetHelper.invokeMethodAsync("OnJoinFilesDropped", index, files.map(file => ({
+                name: file.name,
+                contentType: file.type,
+                data: DotNet.createJSStreamReference(file)
+            })));
+        } catch (err) {
+            alert("添加拖入的文件失败: " + err.message);
+        }
+    }
+
+    // 插入位置指示线：画在第 index 项的上边缘，index 等于项数时画在最后一项的下边缘
+    showDropIndicator(index) {
+        if (index === this.dropIndex) return;
+        this.dropIndex = index;
+
+        const items = this.items();
+        items.forEach(item => item.classList.remove("join-list-drop-before", "join-list-drop-after"));
+        this.element.classList.toggle("join-list-drop-target", index !== null);
+        if (index === null) return;
+
+        if (index < items.length) {
+            items[index].classList.add("join-list-drop-before");
+        } else {
+            items[items.length - 1]?.classList.add("join-list-drop-after");
+        }
+    }
+
+    dispose() {
+        this.sortable?.destroy();
+        this.showDropIndicator(null);
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            this.element.removeEventListener(type, listener);
+        }
+    }
+}
+
+window.joinListInterop = {
+    // 在列表元素上启用排序与文件拖入，返回用于注销的 id
+    attach(element, dotNetHelper) {
+        const id = nextJoinListId++;
+        joinLists.set(id, new JoinList(element, dotNetHelper));
+        return id;
+    },
+
+    detach(id) {
+        joinLists.get(id)?.dispose();
+        joinLists.delete(id);
+    }
+};
@@ -3,11 +3,12 @@ import { saveFile as audioSaveFile } from './audio.js';
 import { saveFile as audioPlayerSaveFile } from './audioPlayer.js';
 
 // Make functions available globally for Blazor JS interop
-globalThis.saveFile = function(fileName, dataUrl) {
+// Arguments: base64Data, fileName, contentType and optional WAV export options
+globalThis.saveFile = function(...args) {
   // Prefer audioPlayer.js implementation if available, otherwise use audio.js
   return typeof audioPlayerSaveFile === 'function' ? 
-    audioPlayerSaveFile(fileName, dataUrl) : 
-    audioSaveFile(fileName, dataUrl);
+    audioPlayerSaveFile(...args) : 
+    audioSaveFile(...args);
 };
 
 // Export for module systems
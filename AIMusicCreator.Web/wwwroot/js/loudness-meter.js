@@ -0,0 +1,82 @@
+// 响度表（LUFS / 真峰值）
+// 依赖 visualizer.js 中的共享音频上下文与媒体源节点，可与可视化同时挂在同一音频元素上
+
+// 响度表 id -> { node, source, timer, latest }
+const loudnessMeters = new Map();
+
+// 非有限值（如静音时的 -Infinity）转为 null，便于 .NET 反序列化
+function finiteOrNull(value) {
+    return Number.isFinite(value) ? Math.round(value * 10) / 10 : null;
+}
+
+window.loudnessMeterInterop = {
+    // 将响度表挂到音频元素上，按 intervalMs 节流回调 .NET 的 OnLoudnessUpdate
+    // 成功时返回 null，失败时返回给用户看的原因
+    async attach(meterId, audioElement, dotNetHelper, intervalMs) {
+        window.loudnessMeterInterop.detach(meterId);
+
+        if (!(audioElement instanceof HTMLMediaElement) || !audioElement.isConnected) {
+            return "音频元素已失效，请等待音频加载完成后重试";
+        }
+        if (typeof AudioWorkletNode === "undefined") {
+            return "浏览器不支持 AudioWorklet";
+        }
+
+        try {
+            const source = getMediaSource(audioElement);
+            const context = source.context;
+            await loadWorkletModule(context, './js/worklets/loudness-processor.js');
+
+            const node = new AudioWorkletNode(context, 'loudness-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0
+            });
+            source.connect(node);
+
+            const meter = { node, source, latest: null, timer: null };
+            node.port.onmessage = (e) => {
+                meter.latest = e.data;
+            };
+
+            // 节流上报：处理器每 100ms 更新一次，只把最新值按间隔推给 .NET
+            meter.timer = setInterval(() => {
+                if (!meter.latest) return;
+                const reading = meter.latest;
+                meter.latest = null;
+                dotNetHelper.invokeMethodAsync('OnLoudnessUpdate', {
+                    momentary: finiteOrNull(reading.momentary),
+                    shortTerm: finiteOrNull(reading.shortTerm),
+                    integrated: finiteOrNull(reading.integrated),
+                    loudnessRange: finiteOrNull(reading.loudnessRange),
+                    truePeak: finiteOrNull(reading.truePeak)
+                }).catch(err => console.error("响度回调失败:", err));
+            }, Math.max(100, intervalMs || 250));
+
+            loudnessMeters.set(meterId, meter);
+            return null;
+        } catch (e) {
+            console.error("响度表初始化失败:", e);
+            return `响度处理器初始化失败（${e.message}）`;
+        }
+    },
+
+    // 清零综合响度、响度范围与真峰值
+    reset(meterId) {
+        loudnessMeters.get(meterId)?.node.port.postMessage({ type: 'reset' });
+    },
+
+    // 断开响度表
+    detach(meterId) {
+        const meter = loudnessMeters.get(meterId);
+        if (!meter) return;
+
+        clearInterval(meter.timer);
+        meter.node.port.onmessage = null;
+        try {
+            meter.source.disconnect(meter.node);
+        } catch (e) {
+            // 上下文已关闭时节点已失效
+        }
+        loudnessMeters.delete(meterId);
+    }
+};
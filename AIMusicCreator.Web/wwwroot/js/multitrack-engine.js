@@ -0,0 +1,294 @@
+// 多轨混音引擎：每条轨道只解码一次，所有轨道按同一个 AudioContext 时钟排程起播，不会像多个 <audio> 元素那样互相漂移
+// 信号链：AudioBufferSourceNode → GainNode（音量、静音、独奏）→ StereoPannerNode → 主输出；依赖 visualizer.js（getAudioContext）
+// 导出时用 OfflineAudioContext 按同一信号链离线渲染，结果存入剪辑引擎（audio-edit-engine.js 的 storeEditBuffer），播放与保存都不经过服务器
+// 走带（播放/暂停/定位/停止）由引擎统一管理，播放位置通过 .NET 回调 OnTransportPosition(position, playing) 报告
+
+// 注册 id -> MultitrackEngine
+const multitrackEngines = new Map();
+let nextMultitrackEngineId = 1;
+
+// 起播前预留的排程时间（秒），保证所有轨道在同一时刻开始
+const MULTITRACK_START_LATENCY = 0.05;
+// 音量与声像变化的平滑时间常数（秒），避免爆音
+const MULTITRACK_PARAM_SMOOTHING = 0.01;
+// 播放中报告位置的间隔（毫秒）
+const MULTITRACK_POSITION_INTERVAL = 100;
+
+class MultitrackEngine {
+    constructor(dotNetHelper) {
+        this.dotNetHelper = dotNetHelper;
+        this.context = getAudioContext();
+        this.master = this.context.createGain();
+        this.master.connect(this.context.destination);
+        this.tracks = new Map();
+        this.nextTrackId = 1;
+        this.playing = false;
+        // 暂停时为当前位置；播放中为本次起播位置，对应 context 时间 startedAt
+        this.offset = 0;
+        this.startedAt = 0;
+        this.timer = null;
+    }
+
+    // 总时长：各轨道延迟 + 长度的最大值
+    get duration() {
+        let duration = 0;
+        for (const track of this.tracks.values()) {
+            duration = Math.max(duration, track.delay + track.buffer.duration);
+        }
+        return duration;
+    }
+
+    get position() {
+        if (!this.playing) return this.offset;
+        return Math.min(this.duration, this.offset + Math.max(0, this.context.currentTime - this.startedAt));
+    }
+
+    getTrack(trackId) {
+        const track = this.tracks.get(trackId);
+        if (!track) throw new Error(`轨道不存在或已移除: ${trackId}`);
+        return track;
+    }
+
+    addTrack(buffer) {
+        const gain = this.context.createGain();
+        const panner = this.context.createStereoPanner();
+        gain.connect(panner).connect(this.master);
+
+        const track = { id: this.nextTrackId++, buffer, gain, panner, source: null, volume: 1, pan: 0, muted: false, solo: false, delay: 0 };
+        this.tracks.set(track.id, track);
+        this.updateGains();
+        if (this.playing) this.seek(this.position);
+        return track;
+    }
+
+    removeTrack(trackId) {
+        const track = this.tracks.get(trackId);
+        if (!track) return;
+
+        this.stopSource(track);
+        track.gain.disconnect();
+        track.panner.disconnect();
+        this.tracks.delete(trackId);
+        this.updateGains();
+
+        if (this.tracks.size === 0) {
+            this.stop();
+        } else if (this.offset > this.duration) {
+            this.offset = this.duration;
+            this.report();
+        }
+    }
+
+    // options: { volume, pan, muted, solo, delay }，未提供的字段保持不变；volume 为线性增益，pan 为 -1..1
+    setTrack(trackId, options) {
+        const track = this.getTrack(trackId);
+        const now = this.context.currentTime;
+
+        if (options.volume != null) track.volume = Math.max(0, options.volume);
+        if (options.muted != null) track.muted = options.muted;
+        if (options.solo != null) track.solo = options.solo;
+        if (options.pan != null) {
+            track.pan = Math.max(-1, Math.min(1, options.pan));
+            track.panner.pan.setTargetAtTime(track.pan, now, MULTITRACK_PARAM_SMOOTHING);
+        }
+        this.updateGains();
+
+        if (options.delay != null && Math.max(0, options.delay) !== track.delay) {
+            track.delay = Math.max(0, options.delay);
+            // 延迟改变后按当前位置重新排程，保持所有轨道对齐
+            if (this.playing) this.seek(this.position);
+        }
+    }
+
+    // 有轨道独奏时只有独奏轨道发声；静音优先于独奏
+    audibleTracks() {
+        const anySolo = [...this.tracks.values()].some(track => track.solo);
+        return new Set([...this.tracks.values()].filter(track => !track.muted && (!anySolo || track.solo)));
+    }
+
+    updateGains() {
+        const audible = this.audibleTracks();
+        const now = this.context.currentTime;
+        for (const track of this.tracks.values()) {
+            track.gain.gain.setTargetAtTime(audible.has(track) ? track.volume : 0, now, MULTITRACK_PARAM_SMOOTHING);
+        }
+    }
+
+    // 离线渲染听到的混音（立体声）：与播放相同的音量、声像、延迟与静音/独奏；没有发声的轨道时返回 null
+    async render() {
+        const audible = [...this.audibleTracks()];
+        if (audible.length === 0) return null;
+
+        const sampleRate = this.context.sampleRate;
+        const duration = Math.max(...audible.map(track => track.delay + track.buffer.duration));
+        const offline = new OfflineAudioContext(2, Math.max(1, Math.ceil(duration * sampleRate)), sampleRate);
+        for (const track of audible) {
+            const source = offline.createBufferSource();
+            const gain = offline.createGain();
+            const panner = offline.createStereoPanner();
+            source.buffer = track.buffer;
+            gain.gain.value = track.volume;
+            panner.pan.value = track.pan;
+            source.connect(gain).connect(panner).connect(offline.destination);
+            source.start(track.delay);
+        }
+        return await offline.startRendering();
+    }
+
+    play() {
+        if (this.playing || this.tracks.size === 0) return;
+        if (this.context.state === "suspended") this.context.resume();
+
+        // 已播放到结尾时从头开始
+        if (this.offset >= this.duration) this.offset = 0;
+        this.startSources();
+        this.playing = true;
+        this.timer = setInterval(() => this.tick(), MULTITRACK_POSITION_INTERVAL);
+        this.report();
+    }
+
+    pause() {
+        if (!this.playing) return;
+        this.offset = this.position;
+        this.halt();
+        this.report();
+    }
+
+    stop() {
+        this.halt();
+        this.offset = 0;
+        this.report();
+    }
+
+    seek(time) {
+        const position = Math.max(0, Math.min(this.duration, time));
+        if (this.playing) this.stopSources();
+        this.offset = position;
+        if (this.playing) this.startSources();
+        this.report();
+    }
+
+    // 所有轨道按同一个起播时刻排程：尚未到延迟的轨道推迟开始，已进入的轨道从对应偏移处开始
+    startSources() {
+        this.startedAt = this.context.currentTime + MULTITRACK_START_LATENCY;
+        for (const track of this.tracks.values()) {
+            const offset = this.offset - track.delay;
+            if (offset >= track.buffer.duration) continue;
+
+            const source = this.context.createBufferSource();
+            source.buffer = track.buffer;
+            source.connect(track.gain);
+            source.start(this.startedAt + Math.max(0, -offset), Math.max(0, offset));
+            track.source = source;
+        }
+    }
+
+    stopSources() {
+        for (const track of this.tracks.values()) this.stopSource(track);
+    }
+
+    stopSource(track) {
+        if (!track.source) return;
+        try {
+            track.source.stop();
+        } catch {
+            // 尚未开始或已结束
+        }
+        track.source.disconnect();
+        track.source = null;
+    }
+
+    halt() {
+        this.stopSources();
+        this.playing = false;
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    tick() {
+        // 所有轨道播放完毕后停在结尾
+        if (this.position >= this.duration) {
+            this.offset = this.duration;
+            this.halt();
+        }
+        this.report();
+    }
+
+    report() {
+        this.dotNetHelper.invokeMethodAsync("OnTransportPosition", this.position, this.playing)
+            .catch(err => console.error("报告播放位置失败:", err));
+    }
+
+    dispose() {
+        this.halt();
+        for (const track of this.tracks.values()) {
+            track.gain.disconnect();
+            track.panner.disconnect();
+        }
+        this.tracks.clear();
+        this.master.disconnect();
+    }
+}
+
+function getMultitrackEngine(id) {
+    const engine = multitrackEngines.get(id);
+    if (!engine) throw new Error(`多轨引擎不存在或已释放: ${id}`);
+    return engine;
+}
+
+window.multitrackInterop = {
+    // 创建引擎，返回用于后续调用的 id
+    create(dotNetHelper) {
+        const id = nextMultitrackEngineId++;
+        multitrackEngines.set(id, new MultitrackEngine(dotNetHelper));
+        return id;
+    },
+
+    // 解码 .NET 传来的音频（DotNetStreamReference）并添加轨道，返回 { trackId, duration, sampleRate, channels }；无法解码时返回 null
+    async addTrack(id, streamRef) {
+        const engine = getMultitrackEngine(id);
+        try {
+            const buffer = await engine.context.decodeAudioData(await streamRef.arrayBuffer());
+            const track = engine.addTrack(buffer);
+            return { trackId: track.id, duration: buffer.duration, sampleRate: buffer.sampleRate, channels: buffer.numberOfChannels };
+        } catch (e) {
+            console.warn("浏览器无法解码该音频:", e);
+            return null;
+        }
+    },
+
+    removeTrack(id, trackId) {
+        getMultitrackEngine(id).removeTrack(trackId);
+    },
+
+    setTrack(id, trackId, options) {
+        getMultitrackEngine(id).setTrack(trackId, options);
+    },
+
+    play(id) {
+        getMultitrackEngine(id).play();
+    },
+
+    pause(id) {
+        getMultitrackEngine(id).pause();
+    },
+
+    stop(id) {
+        getMultitrackEngine(id).stop();
+    },
+
+    seek(id, time) {
+        getMultitrackEngine(id).seek(time);
+    },
+
+    // 离线渲染当前混音并存入剪辑引擎，返回 { id, duration, sampleRate, channels }；没有发声的轨道时返回 null
+    async render(id) {
+        const buffer = await getMultitrackEngine(id).render();
+        return buffer ? storeEditBuffer(buffer) : null;
+    },
+
+    dispose(id) {
+        multitrackEngines.get(id)?.dispose();
+        multitrackEngines.delete(id);
+    }
+};
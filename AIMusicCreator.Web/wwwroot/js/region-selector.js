@@ -0,0 +1,660 @@
+// 波形选区：在波形概览上拖动选择时间范围，支持手柄拖动、键盘微调、缩放与播放头，顶部方块手柄调整淡入淡出
+// 淡化手柄下方的名称条显示命名标记与区域，可拖动移动，单击选中区域或定位到标记
+// 依赖 waveform-overview.js（getWaveformView）、audio-utils.js（previewAudioSegment）与 audio-edit-engine.js（fadeGain、editBuffers）
+
+// 画布 id -> RegionSelector
+const regionSelectors = new Map();
+
+// 手柄可抓取的半宽（CSS 像素）
+const HANDLE_GRAB_PX = 6;
+// 淡化手柄（顶部方块）边长（CSS 像素）
+const FADE_HANDLE_PX = 10;
+// 按下后移动超过该距离（CSS 像素）才视为拖动，否则视为点击定位
+const DRAG_THRESHOLD_PX = 3;
+// 方向键微调步长（秒），按住 Shift 时使用大步长
+const NUDGE_STEP = 0.01;
+const NUDGE_STEP_LARGE = 0.1;
+// 按钮、键盘与滚轮的缩放倍数
+const ZOOM_STEP = 2;
+const WHEEL_ZOOM_STEP = 1.25;
+// 选区变化回调 .NET 的最小间隔（毫秒），最后一次变化总会送达
+const REGION_REPORT_INTERVAL_MS = 100;
+// 标记名称条高度（CSS 像素），位于淡化手柄下方
+const MARKER_LABEL_PX = 14;
+
+const REGION_COLORS = {
+    shade: "rgba(0, 0, 0, 0.35)",
+    handle: "#fd7e14",
+    fade: "rgba(255, 255, 255, 0.9)",
+    fadeShade: "rgba(0, 0, 0, 0.2)",
+    playhead: "#dc3545",
+    marker: "#0dcaf0",
+    markerRegion: "rgba(13, 202, 240, 0.12)",
+    markerText: "#212529"
+};
+
+class RegionSelector {
+    constructor(view, container, dotNetHelper, start, end) {
+        this.view = view;
+        this.container = container;
+        this.dotNetHelper = dotNetHelper;
+        this.start = start;
+        this.end = end;
+        // 淡入、淡出时长（秒）与曲线（"linear" | "equal-power" | "exponential"）
+        this.fadeIn = 0;
+        this.fadeOut = 0;
+        this.fadeCurve = "equal-power";
+        // 方向键作用的手柄："start" | "end"
+        this.activeHandle = "start";
+        this.drag = null;
+        // 预览选区时 previewAudioSegment 返回的 SegmentPreview，loop 为预览是否循环
+        this.preview = null;
+        this.loop = false;
+        // 剪辑引擎中的音频句柄，设置时预览直接使用已解码的音频，不再解码播放器的音频地址
+        this.editBufferId = null;
+        // 命名标记与区域 { id, name, start, end }（标记点的 end 为 null），markerLabels 为上次绘制的名称条位置
+        this.markers = [];
+        this.markerLabels = [];
+        this.lastReport = 0;
+        this.reportTimer = null;
+        this.frame = 0;
+
+        const canvas = view.canvas;
+        canvas.tabIndex = 0;
+        canvas.style.touchAction = "none";
+        canvas.style.cursor = "crosshair";
+
+        this.listeners = {
+            pointerdown: (e) => this.onPointerDown(e),
+            pointermove: (e) => this.onPointerMove(e),
+            pointerup: (e) => this.onPointerUp(e),
+            pointercancel: (e) => this.onPointerUp(e),
+            wheel: (e) => this.onWheel(e),
+            keydown: (e) => this.onKeyDown(e),
+            // 当前手柄仅在画布获得焦点时高亮
+            focus: () => this.view.draw(),
+            blur: () => this.view.draw()
+        };
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            canvas.addEventListener(type, listener, type === "wheel" ? { passive: false } : undefined);
+        }
+
+        // 播放器会重新创建 audio 元素，媒体事件不冒泡，在容器上以捕获阶段监听
+        this.onMediaEvent = () => this.followPlayhead();
+        container?.addEventListener("play", this.onMediaEvent, true);
+        container?.addEventListener("seeked", this.onMediaEvent, true);
+
+        this.overlay = (ctx, ratio) => this.draw(ctx, ratio);
+        view.overlays.push(this.overlay);
+        view.draw();
+    }
+
+    get duration() {
+        return this.view.duration;
+    }
+
+    playerAudio() {
+        return this.container?.querySelector("audio") ?? null;
+    }
+
+    isPlaying() {
+        const player = this.playerAudio();
+        return this.preview?.playing || (player && !player.paused);
+    }
+
+    // 播放头位置：预览中取预览位置，否则取播放器位置；未播放过时不显示
+    playheadTime() {
+        if (this.preview?.playing) return this.preview.currentTime;
+
+        const player = this.playerAudio();
+        return player && player.currentTime > 0 ? player.currentTime : null;
+    }
+
+    // 播放期间逐帧重绘播放头
+    followPlayhead() {
+        if (this.frame) return;
+
+        const tick = () => {
+            this.view.draw();
+            this.frame = this.isPlaying() ? requestAnimationFrame(tick) : 0;
+        };
+        this.frame = requestAnimationFrame(tick);
+    }
+
+    // 事件坐标换算为后备缓冲横坐标
+    eventX(e) {
+        const rect = this.view.canvas.getBoundingClientRect();
+        return (e.clientX - rect.left) * this.view.canvas.width / rect.width;
+    }
+
+    eventY(e) {
+        const rect = this.view.canvas.getBoundingClientRect();
+        return (e.clientY - rect.top) * this.view.canvas.height / rect.height;
+    }
+
+    // 返回位于 (x, y) 处的淡化手柄 "fadeIn" | "fadeOut"，没有则返回 null
+    fadeHandleAt(x, y) {
+        const ratio = window.devicePixelRatio || 1;
+        if (this.end <= this.start || y > FADE_HANDLE_PX * ratio) return null;
+
+        const grab = FADE_HANDLE_PX * ratio;
+        const inX = this.view.timeToX(this.start + this.fadeIn);
+        const outX = this.view.timeToX(this.end - this.fadeOut);
+        if (x >= inX - ratio && x <= inX + grab) return "fadeIn";
+        if (x >= outX - grab && x <= outX + ratio) return "fadeOut";
+        return null;
+    }
+
+    // 返回名称条位于 (x, y) 处的标记，重叠时取后绘制的
+    markerAt(x, y) {
+        const ratio = window.devicePixelRatio || 1;
+        const top = FADE_HANDLE_PX * ratio;
+        if (y < top || y > top + MARKER_LABEL_PX * ratio) return null;
+
+        for (let i = this.markerLabels.length - 1; i >= 0; i--) {
+            const label = this.markerLabels[i];
+            if (x >= label.left && x <= label.right) return label.marker;
+        }
+        return null;
+    }
+
+    setMarkers(markers) {
+        this.markers = markers ?? [];
+        this.view.draw();
+    }
+
+    // 播放头位置，未播放时取选区开始（键盘添加标记时使用）
+    markerTime() {
+        return this.playheadTime() ?? this.start;
+    }
+
+    // 返回位于横坐标 x 处的手柄（取较近者），没有则返回 null
+    handleAt(x) {
+        const grab = HANDLE_GRAB_PX * (window.devicePixelRatio || 1);
+        const startDistance = Math.abs(x - this.view.timeToX(this.start));
+        const endDistance = Math.abs(x - this.view.timeToX(this.end));
+        if (Math.min(startDistance, endDistance) > grab) return null;
+        return startDistance < endDistance ? "start" : "end";
+    }
+
+    // 设置选区并限制在文件范围内
+    setRegion(start, end) {
+        const limit = this.duration > 0 ? this.duration : Infinity;
+        this.start = Math.max(0, Math.min(start, limit));
+        this.end = Math.max(this.start, Math.min(end, limit));
+        this.clampFades();
+        this.view.draw();
+    }
+
+    // 淡入淡出之和不超过选区长度
+    clampFades() {
+        const length = this.end - this.start;
+        this.fadeIn = Math.max(0, Math.min(this.fadeIn, length));
+        this.fadeOut = Math.max(0, Math.min(this.fadeOut, length - this.fadeIn));
+    }
+
+    setFades(fadeIn, fadeOut, curve) {
+        this.fadeIn = fadeIn;
+        this.fadeOut = fadeOut;
+        this.fadeCurve = curve || this.fadeCurve;
+        this.clampFades();
+        this.view.draw();
+    }
+
+    // 移动单个手柄，越过另一侧手柄时两者互换
+    moveHandle(handle, time) {
+        const other = handle === "start" ? this.end : this.start;
+        if ((handle === "start" && time > other) || (handle === "end" && time < other)) {
+            handle = handle === "start" ? "end" : "start";
+        }
+        this.activeHandle = handle;
+        this.setRegion(Math.min(time, other), Math.max(time, other));
+        return handle;
+    }
+
+    onPointerDown(e) {
+        if (!this.view.levels || e.button !== 0) return;
+
+        const canvas = this.view.canvas;
+        canvas.focus();
+        canvas.setPointerCapture(e.pointerId);
+
+        const x = this.eventX(e);
+        const time = this.view.xToTime(x);
+        const fadeHandle = this.fadeHandleAt(x, this.eventY(e));
+        const marker = fadeHandle ? null : this.markerAt(x, this.eventY(e));
+        const handle = this.handleAt(x);
+        if (fadeHandle) {
+            this.drag = { type: fadeHandle };
+        } else if (marker) {
+            this.drag = { type: "marker", marker, offset: time - marker.start };
+        } else if (handle) {
+            this.activeHandle = handle;
+            this.drag = { type: handle };
+        } else if (time > this.start && time < this.end) {
+            this.drag = { type: "move", offset: time - this.start };
+        } else {
+            this.drag = { type: "create", anchor: time };
+        }
+        this.drag.originX = x;
+        this.drag.moved = false;
+    }
+
+    onPointerMove(e) {
+        const x = this.eventX(e);
+        if (!this.drag) {
+            const y = this.eventY(e);
+            const handle = this.view.levels ? (this.fadeHandleAt(x, y) ?? this.handleAt(x)) : null;
+            const time = this.view.xToTime(x);
+            const overMarker = this.view.levels && !handle && this.markerAt(x, y);
+            this.view.canvas.style.cursor = handle ? "ew-resize"
+                : overMarker || (time > this.start && time < this.end) ? "grab" : "crosshair";
+            return;
+        }
+
+        const drag = this.drag;
+        if (!drag.moved && Math.abs(x - drag.originX) < DRAG_THRESHOLD_PX * (window.devicePixelRatio || 1)) return;
+        drag.moved = true;
+
+        const time = Math.max(0, Math.min(this.duration, this.view.xToTime(x)));
+        if (drag.type === "marker") {
+            // 标记拖动只在松开时通知 .NET
+            const marker = drag.marker;
+            const length = marker.end === null ? 0 : marker.end - marker.start;
+            marker.start = Math.max(0, Math.min(this.duration - length, time - drag.offset));
+            if (marker.end !== null) marker.end = marker.start + length;
+            this.view.draw();
+            return;
+        } else if (drag.type === "move") {
+            const length = this.end - this.start;
+            const start = Math.max(0, Math.min(this.duration - length, time - drag.offset));
+            this.setRegion(start, start + length);
+        } else if (drag.type === "fadeIn") {
+            this.setFades(Math.min(time - this.start, this.end - this.start - this.fadeOut), this.fadeOut);
+        } else if (drag.type === "fadeOut") {
+            this.setFades(this.fadeIn, Math.min(this.end - time, this.end - this.start - this.fadeIn));
+        } else if (drag.type === "create") {
+            this.activeHandle = time < drag.anchor ? "start" : "end";
+            this.setRegion(Math.min(time, drag.anchor), Math.max(time, drag.anchor));
+        } else {
+            drag.type = this.moveHandle(drag.type, time);
+        }
+        this.report();
+    }
+
+    onPointerUp(e) {
+        const drag = this.drag;
+        if (!drag) return;
+
+        this.drag = null;
+        this.view.canvas.releasePointerCapture(e.pointerId);
+
+        if (drag.type === "marker") {
+            const marker = drag.marker;
+            if (drag.moved) {
+                this.dotNetHelper.invokeMethodAsync('OnMarkerMoved', {
+                    id: marker.id,
+                    start: Math.round(marker.start * 1000) / 1000,
+                    end: marker.end === null ? null : Math.round(marker.end * 1000) / 1000
+                }).catch(err => console.error("标记回调失败:", err));
+            } else if (marker.end !== null) {
+                // 单击区域名称：选中该区域
+                this.setRegion(marker.start, marker.end);
+                this.report();
+            } else {
+                this.seek(marker.start);
+            }
+            return;
+        }
+
+        // 未拖动的单击：播放器跳到点击位置
+        if (!drag.moved && drag.type === "create") {
+            this.seek(drag.anchor);
+        }
+    }
+
+    seek(time) {
+        const player = this.playerAudio();
+        if (player) {
+            player.currentTime = Math.max(0, Math.min(this.duration, time));
+            this.view.draw();
+        }
+    }
+
+    // 请求 .NET 端添加标记：point 为 true 时在播放头处添加标记点，否则以当前选区添加区域
+    requestMarker(point) {
+        if (!point && this.end <= this.start) return;
+
+        this.dotNetHelper.invokeMethodAsync('OnMarkerRequested', {
+            start: Math.round((point ? this.markerTime() : this.start) * 1000) / 1000,
+            end: point ? null : Math.round(this.end * 1000) / 1000
+        }).catch(err => console.error("标记回调失败:", err));
+    }
+
+    // Ctrl/⌘ + 滚轮以光标为中心缩放，Shift + 滚轮平移；普通滚轮保留给页面滚动
+    onWheel(e) {
+        if (!this.view.levels || !(e.ctrlKey || e.metaKey || e.shiftKey)) return;
+        e.preventDefault();
+
+        const delta = e.deltaY || e.deltaX;
+        if (e.shiftKey) {
+            const span = this.view.viewEnd - this.view.viewStart;
+            this.view.pan(Math.sign(delta) * span * 0.1);
+        } else {
+            this.view.zoom(delta < 0 ? WHEEL_ZOOM_STEP : 1 / WHEEL_ZOOM_STEP, this.view.xToTime(this.eventX(e)));
+        }
+    }
+
+    onKeyDown(e) {
+        if (!this.view.levels) return;
+
+        switch (e.key) {
+            case "ArrowLeft":
+            case "ArrowRight": {
+                const step = (e.shiftKey ? NUDGE_STEP_LARGE : NUDGE_STEP) * (e.key === "ArrowLeft" ? -1 : 1);
+                const current = this.activeHandle === "start" ? this.start : this.end;
+                this.moveHandle(this.activeHandle, Math.max(0, Math.min(this.duration, current + step)));
+                this.report();
+                break;
+            }
+            case "[":
+                this.activeHandle = "start";
+                this.view.draw();
+                break;
+            case "]":
+                this.activeHandle = "end";
+                this.view.draw();
+                break;
+            case " ":
+                this.togglePreview();
+                break;
+            case "+":
+            case "=":
+                this.zoom("in");
+                break;
+            case "-":
+                this.zoom("out");
+                break;
+            case "0":
+                this.zoom("all");
+                break;
+            case "m":
+            case "M":
+                this.requestMarker(true);
+                break;
+            case "r":
+            case "R":
+                this.requestMarker(false);
+                break;
+            default:
+                return;
+        }
+        e.preventDefault();
+    }
+
+    // action: "in" | "out" 以选区中心缩放，"all" 显示整个文件，"region" 缩放到选区
+    zoom(action) {
+        const view = this.view;
+        if (!view.levels) return;
+
+        const center = (this.start + this.end) / 2;
+        switch (action) {
+            case "in":
+                view.zoom(ZOOM_STEP, center);
+                break;
+            case "out":
+                view.zoom(1 / ZOOM_STEP, center);
+                break;
+            case "region": {
+                // 两侧各留出选区长度 5% 的余量
+                const margin = (this.end - this.start) * 0.05;
+                if (this.end > this.start) view.setView(this.start - margin, this.end + margin);
+                break;
+            }
+            default:
+                view.setView(0, view.duration);
+        }
+    }
+
+    // 预览选区（再次调用时停止）
+    async togglePreview() {
+        if (this.preview?.playing) {
+            this.stopPreview();
+            return;
+        }
+
+        const player = this.playerAudio();
+        const source = (this.editBufferId != null && editBuffers.get(this.editBufferId)) || player?.currentSrc || player?.src;
+        if (!source || this.end <= this.start) return;
+
+        player?.pause();
+        this.preview = await previewAudioSegment(source, this.start, this.end, {
+            loop: this.loop,
+            fadeIn: this.fadeIn,
+            fadeOut: this.fadeOut,
+            curve: this.fadeCurve
+        });
+        if (this.preview) {
+            this.preview.onended = () => this.view.draw();
+            this.followPlayhead();
+        }
+    }
+
+    stopPreview() {
+        this.preview?.stop();
+        this.preview = null;
+        this.view.draw();
+    }
+
+    // 节流推送选区变化，尾随的最后一次变化在间隔结束后送达
+    report() {
+        clearTimeout(this.reportTimer);
+        const wait = this.lastReport + REGION_REPORT_INTERVAL_MS - performance.now();
+        if (wait > 0) {
+            this.reportTimer = setTimeout(() => this.report(), wait);
+            return;
+        }
+
+        this.lastReport = performance.now();
+        this.dotNetHelper.invokeMethodAsync('OnRegionChanged', {
+            start: Math.round(this.start * 1000) / 1000,
+            end: Math.round(this.end * 1000) / 1000,
+            fadeIn: Math.round(this.fadeIn * 1000) / 1000,
+            fadeOut: Math.round(this.fadeOut * 1000) / 1000
+        }).catch(err => console.error("选区回调失败:", err));
+    }
+
+    draw(ctx, ratio) {
+        const { width, height } = ctx.canvas;
+        const view = this.view;
+
+        this.drawMarkers(ctx, ratio, height);
+
+        if (this.end > this.start) {
+            const startX = view.timeToX(this.start);
+            const endX = view.timeToX(this.end);
+
+            // 选区外变暗
+            ctx.fillStyle = REGION_COLORS.shade;
+            if (startX > 0) ctx.fillRect(0, 0, Math.min(width, startX), height);
+            if (endX < width) ctx.fillRect(Math.max(0, endX), 0, width - Math.max(0, endX), height);
+
+            this.drawFades(ctx, ratio, height - view.options.rulerHeight * ratio);
+
+            // 手柄：竖线加底部抓手（顶部留给淡化手柄），当前手柄实心
+            const gripY = height - 12 * ratio;
+            for (const [handle, x] of [["start", startX], ["end", endX]]) {
+                if (x < -HANDLE_GRAB_PX * ratio || x > width + HANDLE_GRAB_PX * ratio) continue;
+
+                const active = handle === this.activeHandle && document.activeElement === view.canvas;
+                ctx.fillStyle = REGION_COLORS.handle;
+                ctx.fillRect(Math.round(x - ratio), 0, 2 * ratio, height);
+                const gripX = handle === "start" ? x : x - 8 * ratio;
+                if (active) {
+                    ctx.fillRect(gripX, gripY, 8 * ratio, 12 * ratio);
+                } else {
+                    ctx.strokeStyle = REGION_COLORS.handle;
+                    ctx.lineWidth = ratio;
+                    ctx.strokeRect(gripX + ratio / 2, gripY + ratio / 2, 8 * ratio - ratio, 12 * ratio - ratio);
+                }
+            }
+        }
+
+        const playhead = this.playheadTime();
+        if (playhead !== null) {
+            ctx.fillStyle = REGION_COLORS.playhead;
+            ctx.fillRect(Math.round(view.timeToX(playhead)), 0, ratio, height);
+        }
+    }
+
+    // 命名区域画半透明底色与两侧细线，标记点画竖线，名称条位于淡化手柄下方
+    drawMarkers(ctx, ratio, height) {
+        const view = this.view;
+        const top = FADE_HANDLE_PX * ratio;
+        const labelHeight = MARKER_LABEL_PX * ratio;
+        const padding = 3 * ratio;
+        this.markerLabels = [];
+
+        ctx.font = `${Math.round(10 * ratio)}px sans-serif`;
+        ctx.textBaseline = "middle";
+        for (const marker of this.markers) {
+            const startX = view.timeToX(marker.start);
+            const endX = marker.end === null ? startX : view.timeToX(marker.end);
+            if (endX < 0 || startX > ctx.canvas.width) continue;
+
+            if (marker.end !== null) {
+                ctx.fillStyle = REGION_COLORS.markerRegion;
+                ctx.fillRect(startX, 0, endX - startX, height);
+            }
+            ctx.fillStyle = REGION_COLORS.marker;
+            ctx.fillRect(Math.round(startX), top, ratio, height - top);
+            if (marker.end !== null) ctx.fillRect(Math.round(endX), top, ratio, height - top);
+
+            const name = marker.name || (marker.end === null ? "标记" : "区域");
+            const right = startX + ctx.measureText(name).width + padding * 2;
+            ctx.fillRect(startX, top, right - startX, labelHeight);
+            ctx.fillStyle = REGION_COLORS.markerText;
+            ctx.fillText(name, startX + padding, top + labelHeight / 2);
+            this.markerLabels.push({ marker, left: startX, right });
+        }
+    }
+
+    // 淡化包络：曲线上方变暗表示衰减，顶部方块为淡化手柄
+    drawFades(ctx, ratio, waveHeight) {
+        const view = this.view;
+        const fades = [
+            { from: this.start, to: this.start + this.fadeIn, rising: true },
+            { from: this.end - this.fadeOut, to: this.end, rising: false }
+        ];
+
+        for (const { from, to, rising } of fades) {
+            const fromX = view.timeToX(from);
+            const toX = view.timeToX(to);
+            if (toX - fromX >= 1) {
+                const points = [];
+                for (let x = fromX; x <= toX; x += ratio) {
+                    const position = (x - fromX) / (toX - fromX);
+                    points.push([x, waveHeight * (1 - fadeGain(rising ? position : 1 - position, this.fadeCurve))]);
+                }
+                points.push([toX, rising ? 0 : waveHeight]);
+
+                ctx.fillStyle = REGION_COLORS.fadeShade;
+                ctx.beginPath();
+                ctx.moveTo(fromX, 0);
+                points.forEach(([x, y]) => ctx.lineTo(x, y));
+                ctx.lineTo(toX, 0);
+                ctx.closePath();
+                ctx.fill();
+
+                ctx.strokeStyle = REGION_COLORS.fade;
+                ctx.lineWidth = ratio;
+                ctx.beginPath();
+                points.forEach(([x, y], i) => i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y));
+                ctx.stroke();
+            }
+
+            // 淡入手柄在淡化终点右侧，淡出手柄在淡化起点左侧
+            const size = FADE_HANDLE_PX * ratio;
+            ctx.fillStyle = REGION_COLORS.fade;
+            ctx.fillRect(rising ? toX : fromX - size, 0, size, size);
+            ctx.strokeStyle = REGION_COLORS.handle;
+            ctx.strokeRect((rising ? toX : fromX - size) + ratio / 2, ratio / 2, size - ratio, size - ratio);
+        }
+    }
+
+    dispose() {
+        clearTimeout(this.reportTimer);
+        cancelAnimationFrame(this.frame);
+        this.stopPreview();
+
+        const canvas = this.view.canvas;
+        for (const [type, listener] of Object.entries(this.listeners)) {
+            canvas.removeEventListener(type, listener);
+        }
+        this.container?.removeEventListener("play", this.onMediaEvent, true);
+        this.container?.removeEventListener("seeked", this.onMediaEvent, true);
+
+        const index = this.view.overlays.indexOf(this.overlay);
+        if (index >= 0) this.view.overlays.splice(index, 1);
+        this.view.draw();
+    }
+}
+
+window.regionInterop = {
+    // 在波形概览画布上启用选区；container 内的 audio 元素作为播放头与预览的来源
+    attach(canvasId, container, dotNetHelper, start, end) {
+        const view = getWaveformView(canvasId);
+        if (!view) return false;
+
+        regionSelectors.get(canvasId)?.dispose();
+        regionSelectors.set(canvasId, new RegionSelector(view, container, dotNetHelper, start, end));
+        return true;
+    },
+
+    // .NET 端设置选区（不再回调 OnRegionChanged）
+    setRegion(canvasId, start, end) {
+        regionSelectors.get(canvasId)?.setRegion(start, end);
+    },
+
+    // action: "in" | "out" | "all" | "region"
+    zoom(canvasId, action) {
+        regionSelectors.get(canvasId)?.zoom(action);
+    },
+
+    // 预览选区，正在预览时停止
+    preview(canvasId) {
+        regionSelectors.get(canvasId)?.togglePreview();
+    },
+
+    // .NET 端设置淡入淡出时长（秒）与曲线
+    setFades(canvasId, fadeIn, fadeOut, curve) {
+        regionSelectors.get(canvasId)?.setFades(fadeIn, fadeOut, curve);
+    },
+
+    // 设置命名标记与区域 [{ id, name, start, end }]，标记点的 end 为 null
+    setMarkers(canvasId, markers) {
+        regionSelectors.get(canvasId)?.setMarkers(markers);
+    },
+
+    // 添加标记点的位置：播放头，未播放时为选区开始
+    markerTime(canvasId) {
+        return regionSelectors.get(canvasId)?.markerTime() ?? 0;
+    },
+
+    // 设置预览使用的剪辑引擎句柄，null 为解码播放器的音频地址
+    setEditBuffer(canvasId, id) {
+        const selector = regionSelectors.get(canvasId);
+        if (selector) selector.editBufferId = id;
+    },
+
+    // 设置之后的预览是否循环
+    setPreviewLoop(canvasId, loop) {
+        const selector = regionSelectors.get(canvasId);
+        if (selector) selector.loop = loop;
+    },
+
+    detach(canvasId) {
+        regionSelectors.get(canvasId)?.dispose();
+        regionSelectors.delete(canvasId);
+    }
+};
@@ -0,0 +1,928 @@
+// 可视化绘制：各模式的绘制函数与绘制状态，不依赖 DOM 与音频节点
+// 页面中以普通脚本加载（先于 visualizer.js），也由 visualizer-worker.js 通过 importScripts 加载到 OffscreenCanvas 渲染线程
+// 所有绘制均使用逻辑坐标（CSS 像素，view: { width, height, pixelRatio }），设备像素比由画布变换处理
+// WebGL 模式（visualizer-webgl.js）不可用时回退到这里的 2D 绘制
+
+// 频谱图色表（锚点颜色，按 0..1 均匀分布，绘制时插值成 256 级查找表）
+const COLORMAPS = {
+    viridis: [[68, 1, 84], [59, 82, 139], [33, 145, 140], [94, 201, 98], [253, 231, 37]],
+    magma: [[0, 0, 4], [81, 18, 124], [183, 55, 121], [252, 137, 97], [252, 253, 191]],
+    inferno: [[0, 0, 4], [87, 16, 110], [188, 55, 84], [249, 142, 9], [252, 255, 164]],
+    gray: [[0, 0, 0], [255, 255, 255]]
+};
+
+// 频谱图坐标轴留白（像素）
+const SPECTROGRAM_AXIS_LEFT = 40;
+const SPECTROGRAM_AXIS_BOTTOM = 18;
+const SPECTROGRAM_MIN_FREQ = 20;
+
+// 频段分析：dBFS 显示范围、峰值保持时间（毫秒）与回落速度（dB/秒）
+const ANALYZER_MIN_DB = -90;
+const ANALYZER_MAX_DB = 0;
+const ANALYZER_PEAK_HOLD_MS = 1000;
+const ANALYZER_PEAK_DECAY_DB = 20;
+
+// 查找上升沿过零点，使每帧波形起点一致（只在前半段查找，保证后半段足够绘制）
+function findTriggerIndex(data) {
+    const searchEnd = data.length / 2;
+    for (let i = 1; i < searchEnd; i++) {
+        if (data[i - 1] < 0 && data[i] >= 0) {
+            return i;
+        }
+    }
+    return 0;
+}
+
+// 波形绘制（示波器：时域数据，可按声道上下分屏）
+function drawWaveform(ctx, channels, view, sensitivity, theme, frame) {
+    clearCanvas(ctx, view, theme);
+
+    const laneHeight = view.height / channels.length;
+    // 以第一个声道为触发源，所有声道使用同一起点，保持相位关系
+    const start = frame.options.trigger ? findTriggerIndex(channels[0]) : 0;
+    const windowLength = Math.floor(channels[0].length / 2);
+    const sliceWidth = view.width / windowLength;
+    const gain = sensitivity / 5;
+
+    channels.forEach((data, channel) => {
+        const centerY = laneHeight * channel + laneHeight / 2;
+
+        // 中心参考线
+        ctx.lineWidth = 1;
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.2)";
+        ctx.beginPath();
+        ctx.moveTo(0, centerY);
+        ctx.lineTo(view.width, centerY);
+        ctx.stroke();
+
+        ctx.lineWidth = theme.lineWidth;
+        ctx.strokeStyle = paletteColor(theme, channels.length > 1 ? channel : 0.5);
+        ctx.beginPath();
+
+        for (let i = 0; i < windowLength; i++) {
+            const v = Math.max(-1, Math.min(1, data[start + i] * gain));
+            const x = i * sliceWidth;
+            const y = centerY - v * laneHeight / 2;
+
+            i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
+        }
+
+        ctx.stroke();
+    });
+
+    // 分屏时标注声道
+    if (channels.length > 1) {
+        ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+        ctx.font = "12px sans-serif";
+        ctx.fillText("L", 6, 14);
+        ctx.fillText("R", 6, laneHeight + 14);
+    }
+}
+
+// 频谱绘制（柱颜色按频率位置取调色板渐变）
+function drawSpectrum(ctx, data, view, sensitivity, theme) {
+    clearCanvas(ctx, view, theme);
+    const barWidth = (view.width / data.length) * 2.5;
+    let x = 0;
+
+    for (let i = 0; i < data.length && x < view.width; i++) {
+        const barHeight = (data[i] / 255) * view.height * (sensitivity / 5);
+        ctx.fillStyle = paletteColor(theme, x / view.width);
+        ctx.fillRect(x, view.height - barHeight, barWidth, barHeight);
+        x += barWidth + theme.barGap;
+    }
+}
+
+// 粒子绘制：节拍到来时粒子放大并向外扩散，右上角显示估计的 BPM（beat: { pulse, bpm }）
+function drawParticles(ctx, data, view, sensitivity, theme, beat) {
+    clearCanvas(ctx, view, theme);
+    const particleCount = 50;
+    const step = Math.floor(data.length / particleCount);
+    const pulse = beat?.pulse ?? 0;
+
+    for (let i = 0; i < particleCount; i++) {
+        const value = data[i * step] / 255;
+        const size = (value * 15 * (sensitivity / 5) + 2) * (1 + pulse);
+        const x = (i / particleCount) * view.width;
+        const y = view.height / 2 + (value * 100 * (sensitivity / 5) * (1 + pulse * 0.5) * Math.sin(i * 0.5));
+
+        ctx.fillStyle = paletteColor(theme, i / (particleCount - 1));
+        ctx.beginPath();
+        ctx.arc(x, y, size, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    drawBpmLabel(ctx, view, beat);
+}
+
+// 右上角显示估计的 BPM，亮度随节拍脉冲变化
+function drawBpmLabel(ctx, view, beat) {
+    if (!(beat?.bpm > 0)) return;
+
+    ctx.fillStyle = `rgba(255, 255, 255, ${0.6 + beat.pulse * 0.4})`;
+    ctx.font = "14px sans-serif";
+    ctx.textAlign = "right";
+    ctx.fillText(`${Math.round(beat.bpm)} BPM`, view.width - 8, 20);
+    ctx.textAlign = "left";
+}
+
+// 创建频谱图状态：滚动图像保存在离屏画布中，坐标轴每帧单独绘制
+function createSpectrogramState(view) {
+    const image = createCanvas(view.width - SPECTROGRAM_AXIS_LEFT, view.height - SPECTROGRAM_AXIS_BOTTOM);
+
+    const imageCtx = image.getContext('2d');
+    imageCtx.fillStyle = "black";
+    imageCtx.fillRect(0, 0, image.width, image.height);
+
+    return {
+        image,
+        imageCtx,
+        column: imageCtx.createImageData(1, image.height),
+        lastFrameTime: 0,
+        // 每秒滚动的列数（按实际帧率平滑估计，用于时间轴标注）
+        columnsPerSecond: 60
+    };
+}
+
+// 频谱图绘制（横向滚动，对数频率轴）
+function drawSpectrogram(ctx, data, view, sensitivity, state, frame) {
+    const { image, imageCtx, column } = state;
+    const sampleRate = frame.sampleRate;
+    const nyquist = sampleRate / 2;
+    const binWidth = sampleRate / frame.fftSize;
+    const lut = getColormapLut(frame.options.colormap);
+    const minDb = frame.options.minDecibels;
+    const range = Math.max(1, frame.options.maxDecibels - minDb);
+    // 敏感度作为增益（dB），5 为 0 dB
+    const gainDb = 20 * Math.log10(sensitivity / 5);
+
+    // 估计滚动速度
+    const now = frame.time;
+    if (state.lastFrameTime) {
+        const fps = 1000 / Math.max(1, now - state.lastFrameTime);
+        state.columnsPerSecond = state.columnsPerSecond * 0.95 + fps * 0.05;
+    }
+    state.lastFrameTime = now;
+
+    // 整体左移一列，在最右侧写入新的一列
+    imageCtx.drawImage(image, -1, 0);
+    for (let y = 0; y < image.height; y++) {
+        const freq = yToFrequency(y, image.height, nyquist);
+        const bin = Math.min(data.length - 1, Math.round(freq / binWidth));
+        const db = data[bin] + gainDb;
+        const level = Math.max(0, Math.min(255, Math.round((db - minDb) / range * 255)));
+        const offset = y * 4;
+        column.data[offset] = lut[level * 3];
+        column.data[offset + 1] = lut[level * 3 + 1];
+        column.data[offset + 2] = lut[level * 3 + 2];
+        column.data[offset + 3] = 255;
+    }
+    imageCtx.putImageData(column, image.width - 1, 0);
+
+    clearCanvas(ctx, view, frame.theme);
+    ctx.drawImage(image, SPECTROGRAM_AXIS_LEFT, 0);
+    drawSpectrogramAxes(ctx, view, image, nyquist, state.columnsPerSecond);
+}
+
+// 对数频率轴：y=0 为奈奎斯特频率，底部为最低频
+function yToFrequency(y, height, nyquist) {
+    const ratio = 1 - y / (height - 1);
+    return SPECTROGRAM_MIN_FREQ * Math.pow(nyquist / SPECTROGRAM_MIN_FREQ, ratio);
+}
+
+function frequencyToY(freq, height, nyquist) {
+    const ratio = Math.log(freq / SPECTROGRAM_MIN_FREQ) / Math.log(nyquist / SPECTROGRAM_MIN_FREQ);
+    return (1 - ratio) * (height - 1);
+}
+
+// 频率、时间刻度
+function drawSpectrogramAxes(ctx, view, image, nyquist, columnsPerSecond) {
+    ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.15)";
+    ctx.font = "10px sans-serif";
+    ctx.lineWidth = 1;
+
+    // 频率刻度
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    for (const freq of [50, 100, 200, 500, 1000, 2000, 5000, 10000, 20000]) {
+        if (freq >= nyquist) break;
+        const y = frequencyToY(freq, image.height, nyquist);
+        ctx.fillText(formatFrequency(freq), SPECTROGRAM_AXIS_LEFT - 4, y);
+        ctx.beginPath();
+        ctx.moveTo(SPECTROGRAM_AXIS_LEFT, y);
+        ctx.lineTo(view.width, y);
+        ctx.stroke();
+    }
+
+    // 时间刻度（相对当前时刻，单位秒）
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    const seconds = Math.floor(image.width / columnsPerSecond);
+    const step = Math.max(1, Math.ceil(seconds / 8));
+    for (let s = 0; s <= seconds; s += step) {
+        const x = view.width - 10 - s * columnsPerSecond;
+        if (x < SPECTROGRAM_AXIS_LEFT + 10) break;
+        ctx.fillText(s === 0 ? "0s" : `-${s}s`, x, image.height + 4);
+    }
+}
+
+function formatFrequency(freq) {
+    return freq >= 1000 ? `${freq / 1000}k` : `${freq}`;
+}
+
+// 色表查找表缓存（名称 -> 256*3 的 RGB 数组）
+const colormapLutCache = {};
+
+function getColormapLut(name) {
+    const key = COLORMAPS[name] ? name : "viridis";
+    if (colormapLutCache[key]) return colormapLutCache[key];
+
+    const stops = COLORMAPS[key];
+    const lut = new Uint8ClampedArray(256 * 3);
+    for (let i = 0; i < 256; i++) {
+        const position = i / 255 * (stops.length - 1);
+        const index = Math.min(stops.length - 2, Math.floor(position));
+        const t = position - index;
+        for (let c = 0; c < 3; c++) {
+            lut[i * 3 + c] = stops[index][c] + (stops[index + 1][c] - stops[index][c]) * t;
+        }
+    }
+
+    colormapLutCache[key] = lut;
+    return lut;
+}
+
+// 计算倍频程频段：以 1 kHz 为基准，按 1/N 倍频程划分 20 Hz 至奈奎斯特频率
+function buildOctaveBands(bandsPerOctave, nyquist) {
+    const bands = [];
+    const maxFreq = Math.min(20000, nyquist);
+    const halfStep = Math.pow(2, 1 / (2 * bandsPerOctave));
+    const firstIndex = Math.ceil(Math.log2(20 / 1000) * bandsPerOctave);
+
+    for (let k = firstIndex; ; k++) {
+        const center = 1000 * Math.pow(2, k / bandsPerOctave);
+        if (center > maxFreq) break;
+        bands.push({ center, low: center / halfStep, high: center * halfStep });
+    }
+    return bands;
+}
+
+// 创建频段分析状态（频段、峰值保持）；鼠标悬停位置由每帧的 frame.hoverX 传入
+function createBandAnalyzerState() {
+    return {
+        bandsPerOctave: 0,
+        bands: [],
+        levels: [],
+        peaks: [],
+        lastFrameTime: 0
+    };
+}
+
+// 频段能量：频段内各 FFT 频点功率求和；低频频段比频点间隔还窄时取中心频率最近的频点
+function bandLevel(data, band, binWidth) {
+    const first = Math.ceil(band.low / binWidth);
+    const last = Math.min(data.length - 1, Math.floor(band.high / binWidth));
+    if (last < first) {
+        return data[Math.min(data.length - 1, Math.round(band.center / binWidth))];
+    }
+
+    let power = 0;
+    for (let i = first; i <= last; i++) {
+        power += Math.pow(10, data[i] / 10);
+    }
+    return 10 * Math.log10(power);
+}
+
+// 频段分析绘制（对数频段、dBFS 网格、峰值保持、悬停读数）
+function drawBandAnalyzer(ctx, data, view, sensitivity, theme, state, frame) {
+    const nyquist = frame.sampleRate / 2;
+    const binWidth = frame.sampleRate / frame.fftSize;
+    const bandsPerOctave = frame.options.bandsPerOctave === 6 ? 6 : 3;
+    if (state.bandsPerOctave !== bandsPerOctave) {
+        state.bandsPerOctave = bandsPerOctave;
+        state.bands = buildOctaveBands(bandsPerOctave, nyquist);
+        state.levels = state.bands.map(() => ANALYZER_MIN_DB);
+        state.peaks = state.bands.map(() => ({ level: ANALYZER_MIN_DB, time: 0 }));
+    }
+
+    const now = frame.time;
+    const elapsed = state.lastFrameTime ? (now - state.lastFrameTime) / 1000 : 0;
+    state.lastFrameTime = now;
+    const gainDb = 20 * Math.log10(sensitivity / 5);
+
+    const plotLeft = SPECTROGRAM_AXIS_LEFT;
+    const plotHeight = view.height - SPECTROGRAM_AXIS_BOTTOM;
+    const plotWidth = view.width - plotLeft;
+    const range = ANALYZER_MAX_DB - ANALYZER_MIN_DB;
+    const levelToY = (db) => (ANALYZER_MAX_DB - Math.max(ANALYZER_MIN_DB, Math.min(ANALYZER_MAX_DB, db))) / range * plotHeight;
+    const slotWidth = plotWidth / state.bands.length;
+    const barWidth = Math.max(1, slotWidth - theme.barGap);
+
+    clearCanvas(ctx, view, theme);
+
+    // dBFS 网格
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.15)";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+    ctx.font = "10px sans-serif";
+    ctx.lineWidth = 1;
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    for (let db = ANALYZER_MAX_DB; db >= ANALYZER_MIN_DB; db -= 10) {
+        const y = levelToY(db);
+        ctx.beginPath();
+        ctx.moveTo(plotLeft, y);
+        ctx.lineTo(view.width, y);
+        ctx.stroke();
+        ctx.fillText(`${db}`, plotLeft - 4, Math.max(6, y));
+    }
+
+    // 频段柱与峰值保持
+    state.bands.forEach((band, i) => {
+        const level = bandLevel(data, band, binWidth) + gainDb;
+        state.levels[i] = level;
+
+        const peak = state.peaks[i];
+        if (level >= peak.level) {
+            peak.level = level;
+            peak.time = now;
+        } else if (now - peak.time > ANALYZER_PEAK_HOLD_MS) {
+            peak.level = Math.max(level, peak.level - ANALYZER_PEAK_DECAY_DB * elapsed);
+        }
+
+        const x = plotLeft + i * slotWidth + theme.barGap / 2;
+        const y = levelToY(level);
+        ctx.fillStyle = paletteColor(theme, i / Math.max(1, state.bands.length - 1));
+        ctx.fillRect(x, y, barWidth, plotHeight - y);
+
+        ctx.fillStyle = "white";
+        ctx.fillRect(x, levelToY(peak.level) - 1, barWidth, 2);
+    });
+
+    // 频率刻度（倍频程中心频率）
+    ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "top";
+    state.bands.forEach((band, i) => {
+        if (i % bandsPerOctave !== 0) return;
+        const x = plotLeft + (i + 0.5) * slotWidth;
+        ctx.fillText(formatFrequency(Math.round(band.center)), x, plotHeight + 4);
+    });
+
+    // 悬停读数
+    const hoverX = frame.hoverX ?? -1;
+    const hoverIndex = Math.floor((hoverX - plotLeft) / slotWidth);
+    if (hoverX >= plotLeft && hoverIndex < state.bands.length) {
+        const band = state.bands[hoverIndex];
+        const text = `${formatFrequency(Math.round(band.center))}Hz  ${state.levels[hoverIndex].toFixed(1)} dBFS`;
+        const x = plotLeft + (hoverIndex + 0.5) * slotWidth;
+
+        ctx.strokeStyle = "rgba(255, 255, 255, 0.5)";
+        ctx.beginPath();
+        ctx.moveTo(x, 0);
+        ctx.lineTo(x, plotHeight);
+        ctx.stroke();
+
+        ctx.font = "12px sans-serif";
+        const textWidth = ctx.measureText(text).width;
+        const boxX = Math.min(view.width - textWidth - 12, Math.max(plotLeft, x + 6));
+        ctx.fillStyle = "rgba(0, 0, 0, 0.75)";
+        ctx.fillRect(boxX, 4, textWidth + 8, 18);
+        ctx.fillStyle = "white";
+        ctx.textAlign = "left";
+        ctx.fillText(text, boxX + 4, 7);
+    }
+}
+
+// 音名（升号记法）
+const NOTE_NAMES = ["C", "C#", "D", "D#", "E", "F", "F#", "G", "G#", "A", "A#", "B"];
+// 音高曲线显示时长（秒）
+const PITCH_HISTORY_SECONDS = 10;
+
+function frequencyToMidi(frequency) {
+    return 69 + 12 * Math.log2(frequency / 440);
+}
+
+function midiToNoteName(midi) {
+    const note = Math.round(midi);
+    return `${NOTE_NAMES[((note % 12) + 12) % 12]}${Math.floor(note / 12) - 1}`;
+}
+
+// 音高显示：上方为音名与音分偏差表，下方为滚动音高曲线
+// frame.pitch: { latest, error, points }，points 为上一帧以来新增的 { time, midi }，累积到 state.history
+function drawPitch(ctx, view, theme, state, frame) {
+    const { latest, error, points } = frame.pitch;
+    state.history.push(...points);
+    const now = frame.time;
+    const cutoff = now - PITCH_HISTORY_SECONDS * 1000;
+    while (state.history.length && state.history[0].time < cutoff) {
+        state.history.shift();
+    }
+
+    clearCanvas(ctx, view, theme);
+    const meterHeight = Math.min(90, view.height * 0.35);
+
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillStyle = "white";
+    if (error) {
+        ctx.font = "14px sans-serif";
+        ctx.fillText(error, view.width / 2, view.height / 2);
+        return;
+    }
+
+    // 音名、频率与音分偏差
+    const reading = latest;
+    const midi = reading ? frequencyToMidi(reading.frequency) : null;
+    const cents = midi !== null ? Math.round((midi - Math.round(midi)) * 100) : 0;
+    const inTune = midi !== null && Math.abs(cents) <= 5;
+
+    ctx.font = "bold 32px sans-serif";
+    ctx.fillText(midi !== null ? midiToNoteName(midi) : "--", view.width / 2, meterHeight * 0.3);
+    ctx.font = "12px sans-serif";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+    ctx.fillText(reading ? `${reading.frequency.toFixed(1)} Hz  ${cents > 0 ? "+" : ""}${cents} cents` : "未检测到音高",
+        view.width / 2, meterHeight * 0.6);
+
+    // 音分表（-50 ~ +50）
+    const meterLeft = view.width * 0.2;
+    const meterWidth = view.width * 0.6;
+    const meterY = meterHeight * 0.85;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.4)";
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.moveTo(meterLeft, meterY);
+    ctx.lineTo(meterLeft + meterWidth, meterY);
+    for (const mark of [-50, -25, 0, 25, 50]) {
+        const x = meterLeft + (mark + 50) / 100 * meterWidth;
+        ctx.moveTo(x, meterY - (mark === 0 ? 8 : 4));
+        ctx.lineTo(x, meterY + (mark === 0 ? 8 : 4));
+    }
+    ctx.stroke();
+    if (midi !== null) {
+        const x = meterLeft + (cents + 50) / 100 * meterWidth;
+        ctx.fillStyle = inTune ? "#4caf50" : Math.abs(cents) <= 20 ? "#ffc107" : "#f44336";
+        ctx.beginPath();
+        ctx.arc(x, meterY, 6, 0, Math.PI * 2);
+        ctx.fill();
+    }
+
+    // 音高曲线：纵轴以最近音高中位数为中心，上下各一个八度
+    const plotTop = meterHeight + 8;
+    const plotHeight = view.height - plotTop;
+    const voiced = state.history.filter(point => point.midi !== null).map(point => point.midi).sort((a, b) => a - b);
+    const center = voiced.length ? Math.round(voiced[Math.floor(voiced.length / 2)]) : 60;
+    const low = center - 12;
+    const midiToY = (value) => plotTop + (1 - (value - low) / 24) * plotHeight;
+
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "left";
+    for (let note = low; note <= low + 24; note++) {
+        if (NOTE_NAMES[((note % 12) + 12) % 12].includes("#")) continue;
+        const y = midiToY(note);
+        ctx.strokeStyle = note % 12 === 0 ? "rgba(255, 255, 255, 0.3)" : "rgba(255, 255, 255, 0.1)";
+        ctx.beginPath();
+        ctx.moveTo(30, y);
+        ctx.lineTo(view.width, y);
+        ctx.stroke();
+        ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+        ctx.fillText(midiToNoteName(note), 2, y);
+    }
+
+    ctx.strokeStyle = paletteColor(theme, 0);
+    ctx.lineWidth = theme.lineWidth;
+    ctx.beginPath();
+    let drawing = false;
+    for (const point of state.history) {
+        if (point.midi === null) {
+            drawing = false;
+            continue;
+        }
+        const x = 30 + (1 - (now - point.time) / (PITCH_HISTORY_SECONDS * 1000)) * (view.width - 30);
+        const y = midiToY(Math.max(low, Math.min(low + 24, point.midi)));
+        drawing ? ctx.lineTo(x, y) : ctx.moveTo(x, y);
+        drawing = true;
+    }
+    ctx.stroke();
+}
+
+// 色度分析：FFT 长度、参与统计的频率范围，以及调性/和弦的平滑系数（每帧）
+const CHROMA_FFT_SIZE = 8192;
+const CHROMA_MIN_FREQ = 65;
+const CHROMA_MAX_FREQ = 5000;
+const KEY_SMOOTHING = 0.005;
+const CHORD_SMOOTHING = 0.15;
+// 色度图右侧当前色度柱宽度
+const CHROMA_BAR_WIDTH = 60;
+
+// Krumhansl-Kessler 调性轮廓（以主音为 0）
+const MAJOR_KEY_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88];
+const MINOR_KEY_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17];
+
+// 和弦模板（根音为 0 的音级集合）
+const CHORD_TEMPLATES = [
+    { suffix: "", intervals: [0, 4, 7] },
+    { suffix: "m", intervals: [0, 3, 7] },
+    { suffix: "dim", intervals: [0, 3, 6] },
+    { suffix: "7", intervals: [0, 4, 7, 10] },
+    { suffix: "maj7", intervals: [0, 4, 7, 11] },
+    { suffix: "m7", intervals: [0, 3, 7, 10] }
+];
+
+function createChromaState(view) {
+    const image = createCanvas(view.width - SPECTROGRAM_AXIS_LEFT - CHROMA_BAR_WIDTH, view.height - SPECTROGRAM_AXIS_BOTTOM);
+    const imageCtx = image.getContext('2d');
+    imageCtx.fillStyle = "black";
+    imageCtx.fillRect(0, 0, image.width, image.height);
+
+    return {
+        image,
+        imageCtx,
+        current: new Float32Array(12),
+        chordChroma: new Float32Array(12),
+        keyChroma: new Float32Array(12)
+    };
+}
+
+// 由频谱计算 12 音级色度（功率按音级累加后归一化到最大值为 1）
+function computeChroma(data, sampleRate, fftSize, out) {
+    out.fill(0);
+    const binWidth = sampleRate / fftSize;
+    const first = Math.max(1, Math.ceil(CHROMA_MIN_FREQ / binWidth));
+    const last = Math.min(data.length - 1, Math.floor(CHROMA_MAX_FREQ / binWidth));
+
+    for (let i = first; i <= last; i++) {
+        const pitchClass = ((Math.round(frequencyToMidi(i * binWidth)) % 12) + 12) % 12;
+        out[pitchClass] += Math.pow(10, data[i] / 10);
+    }
+
+    const max = Math.max(...out);
+    if (max > 0) {
+        for (let i = 0; i < 12; i++) out[i] /= max;
+    }
+    return max;
+}
+
+// 皮尔逊相关系数
+function correlate(a, b) {
+    const meanA = a.reduce((x, y) => x + y, 0) / a.length;
+    const meanB = b.reduce((x, y) => x + y, 0) / b.length;
+    let num = 0, da = 0, db = 0;
+    for (let i = 0; i < a.length; i++) {
+        num += (a[i] - meanA) * (b[i] - meanB);
+        da += (a[i] - meanA) ** 2;
+        db += (b[i] - meanB) ** 2;
+    }
+    return da > 0 && db > 0 ? num / Math.sqrt(da * db) : 0;
+}
+
+// 调性估计：与 24 个大小调轮廓求相关，取最大者
+function estimateKey(chroma) {
+    let best = { name: "--", score: 0 };
+    for (let tonic = 0; tonic < 12; tonic++) {
+        const rotated = Array.from(chroma, (_, i) => chroma[(i + tonic) % 12]);
+        for (const [profile, suffix] of [[MAJOR_KEY_PROFILE, " 大调"], [MINOR_KEY_PROFILE, " 小调"]]) {
+            const score = correlate(rotated, profile);
+            if (score > best.score) {
+                best = { name: NOTE_NAMES[tonic] + suffix, score };
+            }
+        }
+    }
+    return best;
+}
+
+// 和弦估计：与各和弦模板求余弦相似度
+function estimateChord(chroma) {
+    const norm = Math.sqrt(chroma.reduce((a, v) => a + v * v, 0));
+    if (norm === 0) return { name: "--", score: 0 };
+
+    let best = { name: "--", score: 0 };
+    for (let root = 0; root < 12; root++) {
+        for (const template of CHORD_TEMPLATES) {
+            let dot = 0;
+            for (const interval of template.intervals) {
+                dot += chroma[(root + interval) % 12];
+            }
+            const score = dot / (norm * Math.sqrt(template.intervals.length));
+            if (score > best.score) {
+                best = { name: NOTE_NAMES[root] + template.suffix, score };
+            }
+        }
+    }
+    return best;
+}
+
+// 色度图：左侧为滚动色度热图，右侧为当前色度柱，叠加调性与和弦估计
+function drawChroma(ctx, data, view, state, frame) {
+    const { image, imageCtx, current, chordChroma, keyChroma } = state;
+    const energy = computeChroma(data, frame.sampleRate, frame.fftSize, current);
+    const lut = getColormapLut(frame.options.colormap);
+    const rowHeight = image.height / 12;
+
+    // 有声时才累积调性与和弦统计，避免静音段拉低估计
+    if (energy > 1e-9) {
+        for (let i = 0; i < 12; i++) {
+            chordChroma[i] += (current[i] - chordChroma[i]) * CHORD_SMOOTHING;
+            keyChroma[i] += (current[i] - keyChroma[i]) * KEY_SMOOTHING;
+        }
+    }
+
+    // 热图左移一列，最右侧绘制当前色度（C 在底部）
+    imageCtx.drawImage(image, -1, 0);
+    for (let pc = 0; pc < 12; pc++) {
+        const level = Math.round(current[pc] * 255);
+        imageCtx.fillStyle = `rgb(${lut[level * 3]}, ${lut[level * 3 + 1]}, ${lut[level * 3 + 2]})`;
+        imageCtx.fillRect(image.width - 1, image.height - (pc + 1) * rowHeight, 1, rowHeight);
+    }
+
+    clearCanvas(ctx, view, frame.theme);
+    ctx.drawImage(image, SPECTROGRAM_AXIS_LEFT, 0);
+
+    // 音级标签与当前色度柱
+    const barLeft = SPECTROGRAM_AXIS_LEFT + image.width + 4;
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "right";
+    ctx.textBaseline = "middle";
+    for (let pc = 0; pc < 12; pc++) {
+        const y = image.height - (pc + 0.5) * rowHeight;
+        ctx.fillStyle = "rgba(255, 255, 255, 0.7)";
+        ctx.fillText(NOTE_NAMES[pc], SPECTROGRAM_AXIS_LEFT - 4, y);
+        ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+        ctx.fillRect(barLeft, y - rowHeight / 2 + 1, chordChroma[pc] * (CHROMA_BAR_WIDTH - 8), rowHeight - 2);
+    }
+
+    // 调性、和弦叠加显示
+    const key = estimateKey(keyChroma);
+    const chord = estimateChord(chordChroma);
+    const text = `调性: ${key.name} (${key.score.toFixed(2)})    和弦: ${chord.score > 0.75 ? chord.name : "--"}`;
+    ctx.font = "bold 14px sans-serif";
+    const textWidth = ctx.measureText(text).width;
+    ctx.fillStyle = "rgba(0, 0, 0, 0.65)";
+    ctx.fillRect(SPECTROGRAM_AXIS_LEFT + 6, 6, textWidth + 12, 22);
+    ctx.fillStyle = "white";
+    ctx.textAlign = "left";
+    ctx.fillText(text, SPECTROGRAM_AXIS_LEFT + 12, 17);
+}
+
+// 矢量示波器：底部相关表高度（像素）与轨迹余辉每帧保留比例
+const CORRELATION_METER_HEIGHT = 36;
+const VECTORSCOPE_PERSISTENCE = 0.75;
+
+// 创建矢量示波器状态：点迹画在离屏方形画布上，逐帧淡出形成余辉
+function createVectorscopeState(view) {
+    const size = Math.max(1, Math.min(view.width, view.height - CORRELATION_METER_HEIGHT));
+    const trail = createCanvas(size, size);
+    return { trail, trailCtx: trail.getContext('2d') };
+}
+
+// 矢量示波器（测角仪）：纵轴为中置 M=(L+R)/√2，横轴为侧向 S=(R-L)/√2
+// 单声道为竖线，仅左/右声道为 45° 斜线，反相成分沿水平方向展开；底部为相位相关表
+// frame.timeDomain 为 [左, 右]，frame.correlation 为平滑后的相关系数（静音时为 null）
+function drawVectorscope(ctx, channels, view, sensitivity, theme, state, frame) {
+    const { trail, trailCtx } = state;
+    const size = trail.width;
+    const radius = size / 2;
+    const gain = sensitivity / 5 * radius * 0.9;
+    const [left, right] = channels;
+
+    trailCtx.globalCompositeOperation = "destination-out";
+    trailCtx.fillStyle = `rgba(0, 0, 0, ${1 - VECTORSCOPE_PERSISTENCE})`;
+    trailCtx.fillRect(0, 0, size, size);
+    trailCtx.globalCompositeOperation = "source-over";
+    trailCtx.fillStyle = paletteColor(theme, 0.5);
+    for (let i = 0; i < left.length; i++) {
+        const x = radius + Math.max(-1, Math.min(1, (right[i] - left[i]) * Math.SQRT1_2)) * gain;
+        const y = radius - Math.max(-1, Math.min(1, (left[i] + right[i]) * Math.SQRT1_2)) * gain;
+        trailCtx.fillRect(x, y, 1, 1);
+    }
+
+    clearCanvas(ctx, view, theme);
+    const scopeLeft = (view.width - size) / 2;
+    ctx.drawImage(trail, scopeLeft, 0);
+
+    // 参考线：M 竖线、S 横线、L/R 对角线与满刻度圆
+    const cx = scopeLeft + radius;
+    const cy = radius;
+    const reach = radius * 0.9;
+    const diagonal = reach * Math.SQRT1_2;
+    ctx.lineWidth = 1;
+    ctx.strokeStyle = "rgba(255, 255, 255, 0.2)";
+    ctx.beginPath();
+    ctx.moveTo(cx, cy - reach);
+    ctx.lineTo(cx, cy + reach);
+    ctx.moveTo(cx - reach, cy);
+    ctx.lineTo(cx + reach, cy);
+    ctx.moveTo(cx - diagonal, cy - diagonal);
+    ctx.lineTo(cx + diagonal, cy + diagonal);
+    ctx.moveTo(cx + diagonal, cy - diagonal);
+    ctx.lineTo(cx - diagonal, cy + diagonal);
+    ctx.stroke();
+    ctx.beginPath();
+    ctx.arc(cx, cy, reach, 0, Math.PI * 2);
+    ctx.stroke();
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.font = "12px sans-serif";
+    ctx.textAlign = "center";
+    ctx.textBaseline = "middle";
+    ctx.fillText("M", cx, cy - reach - 8);
+    ctx.fillText("L", cx - diagonal - 8, cy - diagonal - 8);
+    ctx.fillText("R", cx + diagonal + 8, cy - diagonal - 8);
+    ctx.fillText("+S", cx + reach + 12, cy);
+    ctx.fillText("-S", cx - reach - 12, cy);
+    ctx.textAlign = "left";
+    ctx.textBaseline = "alphabetic";
+
+    drawCorrelationMeter(ctx, view, frame.correlation);
+}
+
+// 相位相关表：-1（反相）..+1（同相），低于 0 时标红提示单声道兼容问题
+function drawCorrelationMeter(ctx, view, correlation) {
+    const top = view.height - CORRELATION_METER_HEIGHT + 16;
+    const left = 24;
+    const width = view.width - 48;
+    const height = 8;
+    const center = left + width / 2;
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.12)";
+    ctx.fillRect(left, top, width, height);
+
+    ctx.fillStyle = "rgba(255, 255, 255, 0.6)";
+    ctx.font = "10px sans-serif";
+    ctx.textAlign = "center";
+    [-1, -0.5, 0, 0.5, 1].forEach(tick => {
+        const x = center + tick * width / 2;
+        ctx.fillRect(x, top + height, 1, 3);
+        ctx.fillText(tick > 0 ? `+${tick}` : `${tick}`, x, top + height + 13);
+    });
+
+    if (correlation !== null && correlation !== undefined) {
+        const x = center + correlation * width / 2;
+        ctx.fillStyle = correlation < 0 ? "#dc3545" : correlation < 0.3 ? "#ffc107" : "#28a745";
+        ctx.fillRect(Math.min(center, x), top, Math.abs(x - center), height);
+        ctx.fillStyle = "white";
+        ctx.fillRect(x - 1, top - 3, 2, height + 6);
+    }
+
+    ctx.font = "12px sans-serif";
+    ctx.textAlign = "left";
+    ctx.fillStyle = "rgba(255, 255, 255, 0.8)";
+    const text = correlation !== null && correlation !== undefined
+        ? `相关性 ${correlation >= 0 ? "+" : ""}${correlation.toFixed(2)}`
+        : "相关性 --";
+    ctx.fillText(text, left, top - 4);
+}
+
+// 取调色板中位置 t（0..1）处的颜色
+function paletteColor(theme, t) {
+    return theme.lut[Math.max(0, Math.min(255, Math.round(t * 255)))];
+}
+
+// 清空画布并填充主题背景（未设置背景时保持透明）
+function clearCanvas(ctx, view, theme) {
+    ctx.clearRect(0, 0, view.width, view.height);
+    if (theme.background) {
+        ctx.fillStyle = theme.background;
+        ctx.fillRect(0, 0, view.width, view.height);
+    }
+}
+
+// 创建离屏画布（worker 中使用 OffscreenCanvas）
+function createCanvas(width, height) {
+    width = Math.max(1, Math.round(width));
+    height = Math.max(1, Math.round(height));
+    if (typeof OffscreenCanvas !== "undefined") {
+        return new OffscreenCanvas(width, height);
+    }
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    return canvas;
+}
+
+// 创建模式对应的绘制状态（画布尺寸或模式变化后重新创建）；webgl 为可用的 WebGL 图层或 null
+function createRenderState(mode, view, webgl, theme) {
+    switch (mode) {
+        case "terrain":
+            return { scene: createWebGLScene(TerrainScene, webgl, theme) };
+        case "particles":
+            return { scene: createWebGLScene(ParticleScene, webgl, theme) };
+        case "spectrogram":
+            return createSpectrogramState(view);
+        case "bands":
+            return createBandAnalyzerState();
+        case "chroma":
+            return createChromaState(view);
+        case "pitch":
+            return { history: [] };
+        case "vectorscope":
+            return createVectorscopeState(view);
+        default:
+            return {};
+    }
+}
+
+// 绘制一帧。frame 含绘制设置 { mode, sensitivity, theme, options } 与本帧数据：
+// time、sampleRate、fftSize，以及按模式提供的 timeDomain / frequency / pitch / beat / hoverX / correlation
+function renderFrame(ctx, view, frame, state) {
+    const { mode, sensitivity, theme } = frame;
+    switch (mode) {
+        case "waveform":
+            drawWaveform(ctx, frame.timeDomain, view, sensitivity, theme, frame);
+            break;
+        case "spectrum":
+            drawSpectrum(ctx, frame.frequency, view, sensitivity, theme);
+            break;
+        case "spectrogram":
+            drawSpectrogram(ctx, frame.frequency, view, sensitivity, state, frame);
+            break;
+        case "bands":
+            drawBandAnalyzer(ctx, frame.frequency, view, sensitivity, theme, state, frame);
+            break;
+        case "pitch":
+            drawPitch(ctx, view, theme, state, frame);
+            break;
+        case "chroma":
+            drawChroma(ctx, frame.frequency, view, state, frame);
+            break;
+        case "terrain":
+            // WebGL 不可用时退回 2D 频谱
+            if (!state.scene?.draw(ctx, view, frame.frequency, sensitivity, frame)) {
+                drawSpectrum(ctx, frame.frequency, view, sensitivity, theme);
+            }
+            break;
+        case "particles":
+            if (!state.scene?.draw(ctx, view, frame.frequency, sensitivity, frame)) {
+                drawParticles(ctx, frame.frequency, view, sensitivity, theme, frame.beat);
+            }
+            break;
+        case "vectorscope":
+            drawVectorscope(ctx, frame.timeDomain, view, sensitivity, theme, state, frame);
+            break;
+    }
+}
+
+// 绘制表面：一个画布（页面画布或 worker 中的 OffscreenCanvas）及其逻辑尺寸、绘制设置与状态
+class RenderSurface {
+    constructor(canvas) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.view = { width: canvas.width, height: canvas.height, pixelRatio: 1 };
+        this.settings = null;
+        this.state = null;
+        // WebGL 图层：首次需要时创建并在模式间复用，null 表示不可用
+        this.webgl = undefined;
+    }
+
+    // 按逻辑尺寸与设备像素尺寸调整后备缓冲，绘制状态随之重建
+    resize(width, height, pixelWidth, pixelHeight) {
+        this.canvas.width = pixelWidth;
+        this.canvas.height = pixelHeight;
+        this.view = { width, height, pixelRatio: pixelWidth / width };
+        this.ctx.setTransform(pixelWidth / width, 0, 0, pixelHeight / height, 0, 0);
+        this.resetState();
+        this.clear();
+    }
+
+    // 设置绘制参数 { mode, sensitivity, theme, options }
+    configure(settings) {
+        this.settings = settings;
+        this.resetState();
+        this.clear();
+    }
+
+    render(frame) {
+        if (!this.settings) return;
+        if (!this.state) {
+            const { mode, theme, options } = this.settings;
+            const webgl = WEBGL_MODES.includes(mode) && options?.webgl !== false ? this.getWebGL() : null;
+            this.state = createRenderState(mode, this.view, webgl, theme);
+        }
+        renderFrame(this.ctx, this.view, Object.assign(frame, this.settings), this.state);
+    }
+
+    // 释放当前绘制状态（含 WebGL 缓冲区与纹理）
+    resetState() {
+        this.state?.scene?.dispose();
+        this.state = null;
+    }
+
+    // 按当前尺寸返回 WebGL 图层；不可用或上下文丢失时返回 null
+    getWebGL() {
+        if (this.webgl === undefined) {
+            this.webgl = WebGLLayer.create();
+        }
+        if (!this.webgl || this.webgl.lost) return null;
+
+        this.webgl.resize(this.canvas.width, this.canvas.height);
+        return this.webgl;
+    }
+
+    clear() {
+        if (this.settings) {
+            clearCanvas(this.ctx, this.view, this.settings.theme);
+        } else {
+            this.ctx.clearRect(0, 0, this.view.width, this.view.height);
+        }
+    }
+}
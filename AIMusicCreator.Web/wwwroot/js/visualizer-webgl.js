@@ -0,0 +1,439 @@
+// WebGL 绘制：3D 频谱地形（terrain 模式）与 GPU 粒子（particles 模式）
+// 页面与 visualizer-worker.js 中均在 visualizer-render.js 之后加载；WebGL 不可用时 renderFrame 回退到 2D 绘制
+// 同一画布不能同时持有 2D 与 WebGL 上下文，因此 WebGL 画到单独的离屏画布，再合成到 2D 画布上
+
+// 可使用 WebGL 绘制的模式
+const WEBGL_MODES = ["terrain", "particles"];
+
+// 频谱地形：频率列数（对数分布）、保留的历史行数、最低频率
+const TERRAIN_COLUMNS = 128;
+const TERRAIN_ROWS = 64;
+const TERRAIN_MIN_FREQ = 30;
+// GPU 粒子数量与驱动粒子的频段数（着色器中 uniform 数组长度）
+const GL_PARTICLE_COUNT = 4096;
+const GL_PARTICLE_BANDS = 32;
+
+const TERRAIN_VERTEX_SHADER = `
+attribute vec2 aGrid;
+attribute float aHeight;
+uniform mat4 uMatrix;
+uniform float uGain;
+varying float vLevel;
+varying float vAge;
+
+void main() {
+    float level = clamp(aHeight * uGain, 0.0, 1.0);
+    vLevel = level;
+    vAge = aGrid.y;
+    gl_Position = uMatrix * vec4(aGrid.x * 2.4 - 1.2, level * 0.6, 1.0 - aGrid.y * 2.0, 1.0);
+}`;
+
+const TERRAIN_FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D uPalette;
+uniform float uBrightness;
+varying float vLevel;
+varying float vAge;
+
+void main() {
+    vec3 color = texture2D(uPalette, vec2(vLevel, 0.5)).rgb;
+    float alpha = 1.0 - vAge * 0.85;
+    gl_FragColor = vec4(color * uBrightness * (0.3 + 0.7 * vLevel) * alpha, alpha);
+}`;
+
+const PARTICLE_VERTEX_SHADER = `
+attribute vec4 aSeed;
+uniform float uTime;
+uniform float uBands[${GL_PARTICLE_BANDS}];
+uniform float uPulse;
+uniform float uGain;
+uniform float uAspect;
+uniform float uPointScale;
+varying float vColor;
+varying float vAlpha;
+
+void main() {
+    float level = clamp(uBands[int(aSeed.w)] * uGain, 0.0, 1.0);
+    // 粒子从远处飞向镜头，travel 为 0（远）..1（近）
+    float travel = fract(aSeed.y + uTime * aSeed.z);
+    float depth = mix(4.0, 0.3, travel);
+    float radius = 0.35 + level * 0.9 + uPulse * 0.35;
+    vec2 position = vec2(cos(aSeed.x), sin(aSeed.x)) * radius / depth;
+    gl_Position = vec4(position.x / uAspect, position.y, 0.0, 1.0);
+    gl_PointSize = uPointScale * (1.0 + level * 3.0 + uPulse * 2.0) / depth;
+    vColor = (aSeed.w + 0.5) / ${GL_PARTICLE_BANDS}.0;
+    vAlpha = smoothstep(0.0, 0.15, travel) * (1.0 - smoothstep(0.85, 1.0, travel)) * (0.35 + 0.65 * level);
+}`;
+
+const PARTICLE_FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D uPalette;
+varying float vColor;
+varying float vAlpha;
+
+void main() {
+    float falloff = 1.0 - smoothstep(0.2, 0.5, length(gl_PointCoord - 0.5));
+    float alpha = falloff * vAlpha;
+    gl_FragColor = vec4(texture2D(uPalette, vec2(vColor, 0.5)).rgb * alpha, alpha);
+}`;
+
+// WebGL 图层：一个带 WebGL 上下文的离屏画布与已编译的着色器程序，由 RenderSurface 持有并在模式间复用
+class WebGLLayer {
+    // 创建图层；浏览器不支持或禁用 WebGL 时返回 null
+    static create() {
+        const attributes = { alpha: true, premultipliedAlpha: true, antialias: true };
+        try {
+            let canvas = createCanvas(1, 1);
+            let gl = canvas.getContext('webgl', attributes);
+            // 部分浏览器的 OffscreenCanvas 只支持 2D，页面中退回普通画布
+            if (!gl && typeof document !== "undefined") {
+                canvas = document.createElement('canvas');
+                gl = canvas.getContext('webgl', attributes);
+            }
+            return gl ? new WebGLLayer(canvas, gl) : null;
+        } catch (e) {
+            console.error("WebGL 初始化失败:", e);
+            return null;
+        }
+    }
+
+    constructor(canvas, gl) {
+        this.canvas = canvas;
+        this.gl = gl;
+        this.programs = new Map();
+        // 上下文丢失（GPU 重置等）后不再使用，渲染回退到 2D
+        this.lost = false;
+        canvas.addEventListener('webglcontextlost', () => {
+            this.lost = true;
+        });
+    }
+
+    resize(pixelWidth, pixelHeight) {
+        if (this.canvas.width !== pixelWidth || this.canvas.height !== pixelHeight) {
+            this.canvas.width = pixelWidth;
+            this.canvas.height = pixelHeight;
+        }
+        this.gl.viewport(0, 0, pixelWidth, pixelHeight);
+    }
+
+    // 编译并缓存着色器程序，返回 { program, attributes, uniforms }（名称 -> 位置）
+    program(name, vertexSource, fragmentSource) {
+        let entry = this.programs.get(name);
+        if (entry) return entry;
+
+        const gl = this.gl;
+        const program = gl.createProgram();
+        [[gl.VERTEX_SHADER, vertexSource], [gl.FRAGMENT_SHADER, fragmentSource]].forEach(([type, source]) => {
+            const shader = gl.createShader(type);
+            gl.shaderSource(shader, source);
+            gl.compileShader(shader);
+            if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+                throw new Error(`着色器编译失败 (${name}): ${gl.getShaderInfoLog(shader)}`);
+            }
+            gl.attachShader(program, shader);
+        });
+        gl.linkProgram(program);
+        if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+            throw new Error(`着色器链接失败 (${name}): ${gl.getProgramInfoLog(program)}`);
+        }
+
+        entry = { program, attributes: {}, uniforms: {} };
+        for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_ATTRIBUTES); i++) {
+            const info = gl.getActiveAttrib(program, i);
+            entry.attributes[info.name] = gl.getAttribLocation(program, info.name);
+        }
+        for (let i = 0; i < gl.getProgramParameter(program, gl.ACTIVE_UNIFORMS); i++) {
+            // uniform 数组名形如 "uBands[0]"
+            const info = gl.getActiveUniform(program, i);
+            entry.uniforms[info.name.replace(/\[0\]$/, "")] = gl.getUniformLocation(program, info.name);
+        }
+        this.programs.set(name, entry);
+        return entry;
+    }
+
+    createBuffer(target, data, usage) {
+        const gl = this.gl;
+        const buffer = gl.createBuffer();
+        gl.bindBuffer(target, buffer);
+        gl.bufferData(target, data, usage);
+        return buffer;
+    }
+
+    // 由主题调色板生成 256×1 纹理（theme.lut 为 CSS rgb() 字符串）
+    createPaletteTexture(theme) {
+        const gl = this.gl;
+        const pixels = new Uint8Array(256 * 4);
+        theme.lut.forEach((color, i) => {
+            const [r, g, b] = color.match(/\d+/g).map(Number);
+            pixels.set([r, g, b, 255], i * 4);
+        });
+
+        const texture = gl.createTexture();
+        gl.bindTexture(gl.TEXTURE_2D, texture);
+        gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, 256, 1, 0, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+        gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+        return texture;
+    }
+
+    // 把本帧 WebGL 画面合成到 2D 画布（先填充主题背景）
+    composite(ctx, view, theme) {
+        clearCanvas(ctx, view, theme);
+        ctx.drawImage(this.canvas, 0, 0, view.width, view.height);
+    }
+}
+
+// 创建 WebGL 场景；图层不可用或着色器编译失败时返回 null（调用方回退到 2D）
+function createWebGLScene(SceneClass, layer, theme) {
+    if (!layer) return null;
+    try {
+        return new SceneClass(layer, theme);
+    } catch (e) {
+        console.error("WebGL 场景创建失败，改用 2D 绘制:", e);
+        return null;
+    }
+}
+
+// 对数频率分组：返回每组的 FFT 频点范围 [start, end)（交错存放），每组至少一个频点
+function buildLogBins(count, minFreq, sampleRate, fftSize) {
+    const nyquist = sampleRate / 2;
+    const binWidth = sampleRate / fftSize;
+    const binCount = fftSize / 2;
+    const ranges = new Uint32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+        const low = minFreq * Math.pow(nyquist / minFreq, i / count);
+        const high = minFreq * Math.pow(nyquist / minFreq, (i + 1) / count);
+        const start = Math.min(binCount - 1, Math.floor(low / binWidth));
+        ranges[i * 2] = start;
+        ranges[i * 2 + 1] = Math.max(start + 1, Math.min(binCount, Math.ceil(high / binWidth)));
+    }
+    return ranges;
+}
+
+// 按分组取字节频谱的峰值，写入 out（0..1）
+function groupPeaks(data, ranges, out, offset = 0) {
+    for (let i = 0; i < ranges.length / 2; i++) {
+        let peak = 0;
+        for (let bin = ranges[i * 2]; bin < ranges[i * 2 + 1]; bin++) {
+            peak = Math.max(peak, data[bin]);
+        }
+        out[offset + i] = peak / 255;
+    }
+}
+
+// 4×4 矩阵（列主序）
+function mat4Multiply(a, b) {
+    const out = new Float32Array(16);
+    for (let column = 0; column < 4; column++) {
+        for (let row = 0; row < 4; row++) {
+            let sum = 0;
+            for (let k = 0; k < 4; k++) {
+                sum += a[k * 4 + row] * b[column * 4 + k];
+            }
+            out[column * 4 + row] = sum;
+        }
+    }
+    return out;
+}
+
+function mat4Perspective(fovy, aspect, near, far) {
+    const f = 1 / Math.tan(fovy / 2);
+    const nf = 1 / (near - far);
+    return new Float32Array([f / aspect, 0, 0, 0, 0, f, 0, 0, 0, 0, (far + near) * nf, -1, 0, 0, 2 * far * near * nf, 0]);
+}
+
+function mat4Translation(x, y, z) {
+    return new Float32Array([1, 0, 0, 0, 0, 1, 0, 0, 0, 0, 1, 0, x, y, z, 1]);
+}
+
+function mat4Scaling(x, y, z) {
+    return new Float32Array([x, 0, 0, 0, 0, y, 0, 0, 0, 0, z, 0, 0, 0, 0, 1]);
+}
+
+function mat4RotationX(angle) {
+    const c = Math.cos(angle);
+    const s = Math.sin(angle);
+    return new Float32Array([1, 0, 0, 0, 0, c, s, 0, 0, -s, c, 0, 0, 0, 0, 1]);
+}
+
+// 3D 频谱地形：每帧把对数频谱作为最前一行推入，旧行向远处移动；填充面加网格线
+class TerrainScene {
+    constructor(layer, theme) {
+        const gl = layer.gl;
+        this.layer = layer;
+        this.shader = layer.program("terrain", TERRAIN_VERTEX_SHADER, TERRAIN_FRAGMENT_SHADER);
+        this.palette = layer.createPaletteTexture(theme);
+        // 行主序高度表，第 0 行为最新
+        this.heights = new Float32Array(TERRAIN_ROWS * TERRAIN_COLUMNS);
+        this.ranges = null;
+        this.rangeKey = "";
+
+        const grid = new Float32Array(TERRAIN_ROWS * TERRAIN_COLUMNS * 2);
+        for (let row = 0; row < TERRAIN_ROWS; row++) {
+            for (let column = 0; column < TERRAIN_COLUMNS; column++) {
+                const i = row * TERRAIN_COLUMNS + column;
+                grid[i * 2] = column / (TERRAIN_COLUMNS - 1);
+                grid[i * 2 + 1] = row / (TERRAIN_ROWS - 1);
+            }
+        }
+
+        const triangles = [];
+        const lines = [];
+        for (let row = 0; row < TERRAIN_ROWS; row++) {
+            for (let column = 0; column < TERRAIN_COLUMNS - 1; column++) {
+                const i = row * TERRAIN_COLUMNS + column;
+                lines.push(i, i + 1);
+                if (row < TERRAIN_ROWS - 1) {
+                    const below = i + TERRAIN_COLUMNS;
+                    triangles.push(i, below, i + 1, i + 1, below, below + 1);
+                }
+            }
+        }
+        this.triangleCount = triangles.length;
+        this.lineCount = lines.length;
+
+        this.gridBuffer = layer.createBuffer(gl.ARRAY_BUFFER, grid, gl.STATIC_DRAW);
+        this.heightBuffer = layer.createBuffer(gl.ARRAY_BUFFER, this.heights, gl.DYNAMIC_DRAW);
+        this.triangleBuffer = layer.createBuffer(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(triangles), gl.STATIC_DRAW);
+        this.lineBuffer = layer.createBuffer(gl.ELEMENT_ARRAY_BUFFER, new Uint16Array(lines), gl.STATIC_DRAW);
+    }
+
+    // 绘制一帧；上下文已丢失时返回 false
+    draw(ctx, view, data, sensitivity, frame) {
+        if (this.layer.lost) return false;
+
+        const key = `${frame.sampleRate}/${frame.fftSize}`;
+        if (key !== this.rangeKey) {
+            this.ranges = buildLogBins(TERRAIN_COLUMNS, TERRAIN_MIN_FREQ, frame.sampleRate, frame.fftSize);
+            this.rangeKey = key;
+        }
+        this.heights.copyWithin(TERRAIN_COLUMNS, 0, (TERRAIN_ROWS - 1) * TERRAIN_COLUMNS);
+        groupPeaks(data, this.ranges, this.heights);
+
+        const gl = this.layer.gl;
+        const { program, attributes, uniforms } = this.shader;
+        // 地形宽度随画布宽高比拉伸，使最前一行约占满画面宽度
+        const aspect = view.width / view.height;
+        const matrix = mat4Multiply(
+            mat4Perspective(Math.PI / 4, aspect, 0.1, 10),
+            mat4Multiply(mat4Translation(0, -0.2, -2.8), mat4Multiply(mat4RotationX(0.5), mat4Scaling(0.55 * aspect, 1, 1))));
+
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT | gl.DEPTH_BUFFER_BIT);
+        gl.enable(gl.DEPTH_TEST);
+        gl.disable(gl.BLEND);
+        gl.useProgram(program);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.gridBuffer);
+        gl.enableVertexAttribArray(attributes.aGrid);
+        gl.vertexAttribPointer(attributes.aGrid, 2, gl.FLOAT, false, 0, 0);
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.heightBuffer);
+        gl.bufferSubData(gl.ARRAY_BUFFER, 0, this.heights);
+        gl.enableVertexAttribArray(attributes.aHeight);
+        gl.vertexAttribPointer(attributes.aHeight, 1, gl.FLOAT, false, 0, 0);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.palette);
+        gl.uniform1i(uniforms.uPalette, 0);
+        gl.uniformMatrix4fv(uniforms.uMatrix, false, matrix);
+        gl.uniform1f(uniforms.uGain, sensitivity / 5);
+
+        // 填充面稍向后偏移，网格线画在其上不闪烁
+        gl.enable(gl.POLYGON_OFFSET_FILL);
+        gl.polygonOffset(1, 1);
+        gl.uniform1f(uniforms.uBrightness, 0.45);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.triangleBuffer);
+        gl.drawElements(gl.TRIANGLES, this.triangleCount, gl.UNSIGNED_SHORT, 0);
+        gl.disable(gl.POLYGON_OFFSET_FILL);
+
+        gl.uniform1f(uniforms.uBrightness, 1);
+        gl.bindBuffer(gl.ELEMENT_ARRAY_BUFFER, this.lineBuffer);
+        gl.drawElements(gl.LINES, this.lineCount, gl.UNSIGNED_SHORT, 0);
+
+        gl.disableVertexAttribArray(attributes.aGrid);
+        gl.disableVertexAttribArray(attributes.aHeight);
+        this.layer.composite(ctx, view, frame.theme);
+        return true;
+    }
+
+    dispose() {
+        const gl = this.layer.gl;
+        [this.gridBuffer, this.heightBuffer, this.triangleBuffer, this.lineBuffer].forEach(buffer => gl.deleteBuffer(buffer));
+        gl.deleteTexture(this.palette);
+    }
+}
+
+// GPU 粒子：粒子轨迹由种子与时间在着色器中计算，频段电平控制扩散半径、大小与亮度，节拍脉冲整体放大
+class ParticleScene {
+    constructor(layer, theme) {
+        const gl = layer.gl;
+        this.layer = layer;
+        this.shader = layer.program("particles", PARTICLE_VERTEX_SHADER, PARTICLE_FRAGMENT_SHADER);
+        this.palette = layer.createPaletteTexture(theme);
+        this.bands = new Float32Array(GL_PARTICLE_BANDS);
+        this.ranges = null;
+        this.rangeKey = "";
+        // 着色器时间从场景创建起计（单精度浮点下避免长时间运行后抖动）
+        this.startTime = null;
+
+        // 种子：角度、初始进度、速度、所属频段
+        const seeds = new Float32Array(GL_PARTICLE_COUNT * 4);
+        for (let i = 0; i < GL_PARTICLE_COUNT; i++) {
+            seeds[i * 4] = Math.random() * Math.PI * 2;
+            seeds[i * 4 + 1] = Math.random();
+            seeds[i * 4 + 2] = 0.05 + Math.random() * 0.2;
+            seeds[i * 4 + 3] = Math.floor(Math.random() * GL_PARTICLE_BANDS);
+        }
+        this.seedBuffer = layer.createBuffer(gl.ARRAY_BUFFER, seeds, gl.STATIC_DRAW);
+    }
+
+    draw(ctx, view, data, sensitivity, frame) {
+        if (this.layer.lost) return false;
+
+        const key = `${frame.sampleRate}/${frame.fftSize}`;
+        if (key !== this.rangeKey) {
+            this.ranges = buildLogBins(GL_PARTICLE_BANDS, TERRAIN_MIN_FREQ, frame.sampleRate, frame.fftSize);
+            this.rangeKey = key;
+        }
+        groupPeaks(data, this.ranges, this.bands);
+        this.startTime ??= frame.time;
+
+        const gl = this.layer.gl;
+        const { program, attributes, uniforms } = this.shader;
+        gl.clearColor(0, 0, 0, 0);
+        gl.clear(gl.COLOR_BUFFER_BIT);
+        gl.disable(gl.DEPTH_TEST);
+        // 预乘 alpha 叠加发光
+        gl.enable(gl.BLEND);
+        gl.blendFunc(gl.ONE, gl.ONE);
+        gl.useProgram(program);
+
+        gl.bindBuffer(gl.ARRAY_BUFFER, this.seedBuffer);
+        gl.enableVertexAttribArray(attributes.aSeed);
+        gl.vertexAttribPointer(attributes.aSeed, 4, gl.FLOAT, false, 0, 0);
+
+        gl.activeTexture(gl.TEXTURE0);
+        gl.bindTexture(gl.TEXTURE_2D, this.palette);
+        gl.uniform1i(uniforms.uPalette, 0);
+        gl.uniform1f(uniforms.uTime, (frame.time - this.startTime) / 1000);
+        gl.uniform1fv(uniforms.uBands, this.bands);
+        gl.uniform1f(uniforms.uPulse, frame.beat?.pulse ?? 0);
+        gl.uniform1f(uniforms.uGain, sensitivity / 5);
+        gl.uniform1f(uniforms.uAspect, view.width / view.height);
+        gl.uniform1f(uniforms.uPointScale, 3 * (view.pixelRatio || 1));
+        gl.drawArrays(gl.POINTS, 0, GL_PARTICLE_COUNT);
+
+        gl.disableVertexAttribArray(attributes.aSeed);
+        this.layer.composite(ctx, view, frame.theme);
+        drawBpmLabel(ctx, view, frame.beat);
+        return true;
+    }
+
+    dispose() {
+        const gl = this.layer.gl;
+        gl.deleteBuffer(this.seedBuffer);
+        gl.deleteTexture(this.palette);
+    }
+}
@@ -0,0 +1,23 @@
+// 可视化渲染线程：在 OffscreenCanvas 上执行 visualizer-render.js / visualizer-webgl.js 的绘制
+// 消息格式 { method, args }：init(canvas) 之后依次转发给 RenderSurface 的 resize / configure / render / clear
+importScripts('visualizer-render.js', 'visualizer-webgl.js');
+
+let surface = null;
+
+self.onmessage = (e) => {
+    const { method, args } = e.data;
+    if (method === "init") {
+        surface = new RenderSurface(args[0]);
+        return;
+    }
+    if (!surface) return;
+
+    try {
+        surface[method](...args);
+    } finally {
+        // 每处理完一帧回执一次（出错也回执），主线程据此丢弃 worker 来不及处理的帧
+        if (method === "render") {
+            self.postMessage("rendered");
+        }
+    }
+};
@@ -1,138 +1,1110 @@
-﻿let audioContext;
-let analyser;
-let animationId;
-let sourceNode;
-
-// 启动可视化（修复参数传递编码）
-function startVisualization(canvasId, audioElement, type, sensitivity, color) {
-    const canvas = document.getElementById(canvasId);
-    const ctx = canvas.getContext('2d');
-
-    // 初始化音频上下文（兼容浏览器）
-    try {
-        audioContext = new (window.AudioContext || window.webkitAudioContext)();
-        analyser = audioContext.createAnalyser();
-        analyser.fftSize = 1024;
-        analyser.smoothingTimeConstant = 0.8;
-
-        // 连接音频源
-        sourceNode = audioContext.createMediaElementSource(audioElement);
-        sourceNode.connect(analyser);
-        analyser.connect(audioContext.destination);
-
-        // 开始可视化
-        visualize(ctx, type, sensitivity, color);
-    } catch (e) {
-        console.error("可视化初始化失败:", e);
-        alert("浏览器不支持音频可视化功能");
+﻿// 共享的音频上下文：同一页面的所有可视化实例共用，避免每次启动都新建 AudioContext
+let sharedAudioContext = null;
+// 媒体元素 -> MediaElementAudioSourceNode（每个元素只能创建一次源节点）
+let mediaSources = new WeakMap();
+// 画布 id -> Visualizer 实例
+const visualizers = new Map();
+// 音频上下文 -> (worklet 模块地址 -> addModule Promise)
+const workletModuleLoads = new WeakMap();
+// 画布元素 -> CanvasRenderer（控制权转交 worker 后不能再次转交，因此按元素复用）
+const canvasRenderers = new WeakMap();
+
+// 默认可视化选项（示波器声道分离、过零触发；频谱图色表与 dB 范围；频段分析每倍频程频段数；
+// 主题：背景色（空为透明）、线宽、柱间距、自定义调色板颜色；offscreen 为首次绑定画布时是否交给 worker 绘制；
+// webgl 为地形、粒子模式是否使用 WebGL）
+const DEFAULT_VISUAL_OPTIONS = {
+    splitChannels: false,
+    trigger: true,
+    colormap: "viridis",
+    minDecibels: -100,
+    maxDecibels: -20,
+    bandsPerOctave: 3,
+    background: "",
+    lineWidth: 2,
+    barGap: 1,
+    paletteColors: null,
+    offscreen: true,
+    webgl: true
+};
+
+// 可视化模式 id；旧版以中文显示名调用，仍按此表兼容
+const LEGACY_MODE_IDS = {
+    "波形": "waveform",
+    "频谱": "spectrum",
+    "频谱图": "spectrogram",
+    "频段分析": "bands",
+    "音高": "pitch",
+    "色度": "chroma",
+    "粒子": "particles"
+};
+
+// 内置渐变调色板（颜色按 0..1 均匀分布，绘制时插值成 256 级查找表）
+const PALETTES = {
+    rainbow: ["#ff0000", "#ffff00", "#00ff00", "#00ffff", "#0000ff", "#ff00ff"],
+    blue: ["#0d2b45", "#1f6fb2", "#6ec6ff"],
+    red: ["#4a0d0d", "#c62828", "#ff8a80"],
+    green: ["#0d3b1e", "#2e7d32", "#a5d6a7"],
+    sunset: ["#2d1b4e", "#b83b5e", "#f08a5d", "#f9ed69"],
+    ocean: ["#03045e", "#0077b6", "#00b4d8", "#caf0f8"],
+    neon: ["#ff00c8", "#7b2ff7", "#00e5ff", "#39ff14"],
+    mono: ["#9e9e9e", "#ffffff"]
+};
+
+// 获取（必要时创建）共享音频上下文
+function getAudioContext() {
+    if (!sharedAudioContext || sharedAudioContext.state === "closed") {
+        sharedAudioContext = new (window.AudioContext || window.webkitAudioContext)();
+        mediaSources = new WeakMap();
+    }
+    if (sharedAudioContext.state === "suspended") {
+        sharedAudioContext.resume();
+    }
+    return sharedAudioContext;
+}
+
+// 获取媒体元素的源节点：首次创建时接到扬声器，之后复用
+function getMediaSource(audioElement) {
+    const context = getAudioContext();
+    let source = mediaSources.get(audioElement);
+    if (!source) {
+        source = context.createMediaElementSource(audioElement);
+        source.connect(context.destination);
+        mediaSources.set(audioElement, source);
     }
+    return source;
 }
 
-// 可视化核心逻辑
-function visualize(ctx, type, sensitivity, color) {
-    const canvas = ctx.canvas;
-    const bufferLength = analyser.frequencyBinCount;
-    const dataArray = new Uint8Array(bufferLength);
+// 在音频上下文中加载 AudioWorklet 模块（每个上下文每个模块只加载一次）
+function loadWorkletModule(context, url) {
+    let loads = workletModuleLoads.get(context);
+    if (!loads) {
+        loads = new Map();
+        workletModuleLoads.set(context, loads);
+    }
+    if (!loads.has(url)) {
+        loads.set(url, context.audioWorklet.addModule(url));
+    }
+    return loads.get(url);
+}
 
-    // 清除画布
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
+// 打开麦克风并创建源节点（不接扬声器，避免啸叫）；关闭处理以保留原始音高信息
+async function getMicrophoneSource() {
+    const stream = await navigator.mediaDevices.getUserMedia({
+        audio: { echoCancellation: false, noiseSuppression: false, autoGainControl: false }
+    });
+    return getAudioContext().createMediaStreamSource(stream);
+}
 
-    function draw() {
-        animationId = requestAnimationFrame(draw);
-        analyser.getByteFrequencyData(dataArray);
+// 单个画布的可视化实例
+class Visualizer {
+    constructor(canvasId) {
+        this.canvasId = canvasId;
+        this.canvas = null;
+        // 画布渲染器（负责尺寸、设备像素比与主线程/worker 绘制）
+        this.renderer = null;
+        this.audioElement = null;
+        this.source = null;
+        this.analyser = null;
+        // 左右声道分离用的分路器及各声道分析器
+        this.channelSplitter = null;
+        this.channelAnalysers = [];
+        this.animationId = null;
+        // 当前模式的清理函数（如移除鼠标事件），切换模式或停止时调用
+        this.modeCleanup = null;
+        // 正在进行的视频录制
+        this.recorder = null;
+        // 节拍跟踪器（粒子模式或有 .NET 监听时运行）及 .NET 监听 { dotNetHelper, intervalMs }
+        this.beatTracker = null;
+        this.beatListener = null;
+        // 左右声道相位相关表（矢量示波器显示，也可单独向 .NET 上报）
+        this.correlation = new CorrelationMeter();
+        // 跟随容器内音频元素时的 DOM 观察器
+        this.containerObserver = null;
+        this.type = "waveform";
+        this.sensitivity = 5;
+        this.color = "rainbow";
+        this.options = { ...DEFAULT_VISUAL_OPTIONS };
+        this.theme = resolveTheme(this.color, this.options);
+    }
 
-        // 根据类型绘制
-        if (type === "波形") {
-            drawWaveform(ctx, dataArray, canvas, sensitivity, color);
-        } else if (type === "频谱") {
-            drawSpectrum(ctx, dataArray, canvas, sensitivity, color);
-        } else if (type === "粒子") {
-            drawParticles(ctx, dataArray, canvas, sensitivity, color);
+    get sampleRate() {
+        return this.analyser.context.sampleRate;
+    }
+
+    // 连接音频元素并开始绘制；已连接其他元素时先断开
+    start(audioElement, type, sensitivity, color, options) {
+        this.attachCanvas(options);
+
+        const source = getMediaSource(audioElement);
+        this.audioElement = audioElement;
+        if (source !== this.source) {
+            this.disconnect();
+            this.connect(source);
         }
+
+        this.update(type, color, sensitivity, options);
+    }
+
+    // 以麦克风为输入开始绘制
+    async startMicrophone(type, sensitivity, color, options) {
+        this.attachCanvas(options);
+
+        const source = await getMicrophoneSource();
+        this.disconnect();
+        this.audioElement = null;
+        this.connect(source);
+        this.update(type, color, sensitivity, options);
+    }
+
+    // 跟随容器内的音频元素：以当前找到的元素启动，元素被替换（组件重新渲染）后自动改接到新元素
+    follow(container, type, sensitivity, color, options) {
+        this.unfollow();
+        this.attachCanvas(options);
+        this.update(type, color, sensitivity, options);
+
+        const attach = () => {
+            const audio = container.querySelector('audio');
+            if (!audio || audio === this.audioElement) return;
+            try {
+                this.start(audio);
+                // 新元素通常是新的预览结果，相关性最低值重新统计
+                this.correlation.reset();
+            } catch (e) {
+                console.error("可视化改接音频元素失败:", e);
+            }
+        };
+        attach();
+        this.containerObserver = new MutationObserver(attach);
+        this.containerObserver.observe(container, { childList: true, subtree: true });
+    }
+
+    unfollow() {
+        this.containerObserver?.disconnect();
+        this.containerObserver = null;
+    }
+
+    // 绑定画布（Blazor 重新渲染出新元素时换用新元素的渲染器）
+    attachCanvas(options) {
+        const canvas = document.getElementById(this.canvasId);
+        if (!canvas) {
+            throw new Error(`未找到可视化画布: ${this.canvasId}`);
+        }
+        if (canvas === this.canvas) return;
+
+        this.renderer?.release();
+        this.renderer = CanvasRenderer.forCanvas(canvas, options?.offscreen ?? this.options.offscreen);
+        this.canvas = canvas;
+    }
+
+    // 创建分析器并接到源节点
+    connect(source) {
+        const context = source.context;
+        this.source = source;
+
+        this.analyser = context.createAnalyser();
+        this.analyser.fftSize = 2048;
+        this.analyser.smoothingTimeConstant = 0.8;
+        source.connect(this.analyser);
+
+        // 声道分路：每个声道单独接一个分析器，用于示波器上下分屏、矢量示波器与相关表
+        // 按扬声器规则上混，单声道源左右两路相同（discrete 时右声道为静音）
+        this.channelSplitter = context.createChannelSplitter(2);
+        this.channelSplitter.channelInterpretation = "speakers";
+        source.connect(this.channelSplitter);
+        this.channelAnalysers = [0, 1].map(channel => {
+            const channelAnalyser = context.createAnalyser();
+            channelAnalyser.fftSize = this.analyser.fftSize;
+            channelAnalyser.smoothingTimeConstant = 0;
+            this.channelSplitter.connect(channelAnalyser, channel);
+            return channelAnalyser;
+        });
+    }
+
+    // 断开本实例创建的节点（源节点由其他实例共享，保留）
+    disconnect() {
+        if (!this.source) return;
+
+        this.beatTracker?.dispose();
+        this.beatTracker = null;
+        this.source.disconnect(this.analyser);
+        this.source.disconnect(this.channelSplitter);
+        this.channelSplitter.disconnect();
+        // 麦克风源为本实例独占，断开时一并关闭采集
+        if (this.source.mediaStream) {
+            this.source.mediaStream.getTracks().forEach(track => track.stop());
+            this.source.disconnect();
+        }
+        this.source = null;
+        this.analyser = null;
+        this.channelSplitter = null;
+        this.channelAnalysers = [];
+    }
+
+    // 更新可视化参数并以新参数重新绘制
+    update(type, color, sensitivity, options) {
+        this.type = type ? (LEGACY_MODE_IDS[type] ?? type) : this.type;
+        this.color = color ?? this.color;
+        this.sensitivity = sensitivity ?? this.sensitivity;
+        this.options = { ...this.options, ...(options || {}) };
+        this.theme = resolveTheme(this.color, this.options);
+        this.renderer?.configure({ mode: this.type, sensitivity: this.sensitivity, theme: this.theme, options: this.options });
+
+        if (!this.analyser) return;
+        this.stop();
+        this.visualize();
+        this.syncBeatTracker();
+    }
+
+    // 按需创建或释放节拍跟踪器：粒子模式需要节拍脉冲，.NET 监听需要 BPM 上报
+    syncBeatTracker() {
+        const needed = this.source && (this.type === "particles" || this.beatListener);
+        if (needed && !this.beatTracker) {
+            this.beatTracker = new BeatTracker(this);
+        } else if (!needed && this.beatTracker) {
+            this.beatTracker.dispose();
+            this.beatTracker = null;
+        }
+        this.beatTracker?.listen(this.beatListener);
+    }
+
+    // 停止绘制（保留音频连接，可再次 update 恢复）
+    stop() {
+        if (this.animationId) {
+            cancelAnimationFrame(this.animationId);
+            this.animationId = null;
+        }
+        this.runModeCleanup();
+    }
+
+    // 停止绘制并释放音频节点
+    dispose() {
+        this.recorder?.cancel();
+        this.recorder = null;
+        this.unfollow();
+        this.correlation.listen(null);
+        this.stop();
+        this.disconnect();
+        this.renderer?.clear();
+        this.renderer?.release();
+        this.renderer = null;
+        this.canvas = null;
+    }
+
+    // 执行并清除当前模式的清理函数
+    runModeCleanup() {
+        if (this.modeCleanup) {
+            this.modeCleanup();
+            this.modeCleanup = null;
+        }
+    }
+
+    // 可视化核心逻辑：每帧读取分析数据交给渲染器（绘制设置已在 update 中传入）
+    visualize() {
+        const { analyser, type } = this;
+        // 色度需要更高的低频分辨率，其余模式使用默认 FFT 长度
+        analyser.fftSize = type === "chroma" ? CHROMA_FFT_SIZE : 2048;
+        const bufferLength = analyser.frequencyBinCount;
+        const dataArray = new Uint8Array(bufferLength);
+        // 时域数据（浮点精度，范围 -1..1）
+        const timeData = [0, 1].map(() => new Float32Array(analyser.fftSize));
+        // 频域 dB 数据（频谱图、频段分析、色度使用）
+        const decibelData = new Float32Array(bufferLength);
+        // 左右声道时域数据（矢量示波器、相关表使用）
+        const stereoData = this.channelAnalysers.map(channelAnalyser => new Float32Array(channelAnalyser.fftSize));
+        const pitch = type === "pitch" ? createPitchState(this) : null;
+        const hover = type === "bands" ? trackCanvasHover(this) : null;
+
+        const draw = () => {
+            this.animationId = requestAnimationFrame(draw);
+
+            const frame = { time: performance.now(), sampleRate: this.sampleRate, fftSize: analyser.fftSize };
+            if (type === "vectorscope" || this.correlation.listener) {
+                this.channelAnalysers.forEach((channelAnalyser, channel) => channelAnalyser.getFloatTimeDomainData(stereoData[channel]));
+                this.correlation.push(stereoData[0], stereoData[1], frame.time);
+            }
+            switch (type) {
+                case "waveform":
+                    frame.timeDomain = this.readTimeDomain(timeData);
+                    break;
+                case "spectrogram":
+                case "bands":
+                case "chroma":
+                    analyser.getFloatFrequencyData(decibelData);
+                    frame.frequency = decibelData;
+                    break;
+                case "pitch":
+                    frame.pitch = { latest: pitch.latest, error: pitch.error, points: pitch.pending };
+                    break;
+                case "vectorscope":
+                    frame.timeDomain = stereoData;
+                    frame.correlation = this.correlation.value;
+                    break;
+                default:
+                    analyser.getByteFrequencyData(dataArray);
+                    frame.frequency = dataArray;
+            }
+            if (hover) {
+                frame.hoverX = hover.x;
+            }
+            if (type === "particles" && this.beatTracker) {
+                frame.beat = { pulse: this.beatTracker.pulse(frame.time), bpm: this.beatTracker.bpm };
+            }
+
+            // worker 尚未画完上一帧时本帧被跳过，音高点保留到下一帧
+            if (this.renderer.render(frame) && pitch) {
+                pitch.pending = [];
+            }
+        };
+
+        draw();
     }
 
-    draw();
+    // 读取时域数据：分离模式返回左右两路，否则返回混合后的单路
+    readTimeDomain(timeData) {
+        if (this.options.splitChannels && this.channelAnalysers.length === 2) {
+            this.channelAnalysers[0].getFloatTimeDomainData(timeData[0]);
+            this.channelAnalysers[1].getFloatTimeDomainData(timeData[1]);
+            return timeData;
+        }
+
+        this.analyser.getFloatTimeDomainData(timeData[0]);
+        return [timeData[0]];
+    }
 }
 
-// 波形绘制
-function drawWaveform(ctx, data, canvas, sensitivity, color) {
-    const sliceWidth = canvas.width / data.length * 2.5;
-    let x = 0;
+// 可视化视频录制：画布画面 + 分析中的音频，经 MediaRecorder 编码为 WebM
+class CanvasRecorder {
+    constructor(viz, dotNetHelper, options) {
+        this.viz = viz;
+        this.dotNetHelper = dotNetHelper;
+        this.fileName = options.fileName || "visualizer.webm";
+        this.frameRate = options.frameRate || 30;
+        this.chunks = [];
+        this.bytes = 0;
+        this.startTime = 0;
+        this.cancelled = false;
+
+        // 指定分辨率时在中间画布上等比缩放绘制，否则直接录制原画布
+        const width = options.width || viz.renderer.pixelWidth;
+        const height = options.height || viz.renderer.pixelHeight;
+        if (width !== viz.renderer.pixelWidth || height !== viz.renderer.pixelHeight) {
+            this.frameCanvas = document.createElement('canvas');
+            this.frameCanvas.width = width;
+            this.frameCanvas.height = height;
+            this.frameCtx = this.frameCanvas.getContext('2d');
+        } else {
+            this.frameCanvas = viz.canvas;
+        }
+
+        // 音频经 MediaStream 目标节点取出，与画面合成一路流
+        this.audioDestination = viz.source.context.createMediaStreamDestination();
+        viz.source.connect(this.audioDestination);
+        const videoStream = this.frameCanvas.captureStream(this.frameRate);
+        this.stream = new MediaStream([
+            ...videoStream.getVideoTracks(),
+            ...this.audioDestination.stream.getAudioTracks()
+        ]);
 
-    ctx.lineWidth = 2;
-    ctx.strokeStyle = getColor(0, color);
-    ctx.beginPath();
+        this.mediaRecorder = new MediaRecorder(this.stream, {
+            mimeType: CanvasRecorder.pickMimeType(),
+            videoBitsPerSecond: options.videoBitsPerSecond || 5000000
+        });
+        this.mediaRecorder.ondataavailable = (e) => {
+            if (e.data.size > 0) {
+                this.chunks.push(e.data);
+                this.bytes += e.data.size;
+            }
+        };
+        this.mediaRecorder.onstop = () => this.finish();
 
-    for (let i = 0; i < data.length; i++) {
-        const v = data[i] / 128.0;
-        const y = v * canvas.height / 2 * (sensitivity / 5);
+        this.onEnded = () => this.stop();
+        viz.audioElement?.addEventListener('ended', this.onEnded);
+    }
+
+    // 选择浏览器支持的 WebM 编码
+    static pickMimeType() {
+        const candidates = ["video/webm;codecs=vp9,opus", "video/webm;codecs=vp8,opus", "video/webm"];
+        return candidates.find(type => MediaRecorder.isTypeSupported(type)) || "";
+    }
 
-        i === 0 ? ctx.moveTo(x, y) : ctx.lineTo(x, y);
-        x += sliceWidth;
+    start(fromStart) {
+        const audio = this.viz.audioElement;
+        if (audio && fromStart) {
+            audio.currentTime = 0;
+        }
+
+        this.startTime = performance.now();
+        this.mediaRecorder.start(1000);
+        if (this.frameCtx) {
+            this.copyFrame();
+        }
+        this.progressTimer = setInterval(() => this.reportProgress(), 500);
+
+        if (audio?.paused) {
+            audio.play().catch(err => console.error("播放失败:", err));
+        }
+    }
+
+    // 将可视化画布等比缩放（居中留黑边）绘制到录制画布
+    copyFrame() {
+        const { frameCanvas, frameCtx } = this;
+        const source = this.viz.canvas;
+        // 画布可能已交给 worker，尺寸以渲染器记录的后备缓冲为准
+        const { pixelWidth, pixelHeight } = this.viz.renderer;
+        const scale = Math.min(frameCanvas.width / pixelWidth, frameCanvas.height / pixelHeight);
+        const width = pixelWidth * scale;
+        const height = pixelHeight * scale;
+
+        frameCtx.fillStyle = "black";
+        frameCtx.fillRect(0, 0, frameCanvas.width, frameCanvas.height);
+        frameCtx.drawImage(source, (frameCanvas.width - width) / 2, (frameCanvas.height - height) / 2, width, height);
+        this.frameRequest = requestAnimationFrame(() => this.copyFrame());
+    }
+
+    reportProgress() {
+        const audio = this.viz.audioElement;
+        const duration = audio && Number.isFinite(audio.duration) ? audio.duration : 0;
+        this.dotNetHelper?.invokeMethodAsync('OnRecordingProgress', {
+            seconds: Math.round((performance.now() - this.startTime) / 100) / 10,
+            bytes: this.bytes,
+            percent: duration > 0 ? Math.min(100, Math.round(audio.currentTime / duration * 100)) : 0
+        }).catch(err => console.error("录制进度回调失败:", err));
+    }
+
+    stop() {
+        if (this.mediaRecorder.state !== "inactive") {
+            this.mediaRecorder.stop();
+        }
     }
 
-    ctx.lineTo(canvas.width, canvas.height / 2);
-    ctx.stroke();
+    // 放弃录制（不下载）
+    cancel() {
+        this.cancelled = true;
+        this.stop();
+        this.release();
+    }
+
+    release() {
+        clearInterval(this.progressTimer);
+        cancelAnimationFrame(this.frameRequest);
+        this.viz.audioElement?.removeEventListener('ended', this.onEnded);
+        this.stream.getTracks().forEach(track => track.stop());
+        try {
+            this.viz.source?.disconnect(this.audioDestination);
+        } catch (e) {
+            // 源节点已断开
+        }
+    }
+
+    // 录制结束：合并数据并下载 WebM 文件
+    finish() {
+        this.release();
+        if (this.viz.recorder === this) {
+            this.viz.recorder = null;
+        }
+        if (this.cancelled) return;
+
+        const blob = new Blob(this.chunks, { type: "video/webm" });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = this.fileName;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        setTimeout(() => URL.revokeObjectURL(url), 10000);
+
+        this.dotNetHelper?.invokeMethodAsync('OnRecordingComplete', {
+            fileName: this.fileName,
+            bytes: blob.size,
+            seconds: Math.round((performance.now() - this.startTime) / 100) / 10
+        }).catch(err => console.error("录制完成回调失败:", err));
+    }
+}
+
+// 创建音高检测状态：异步加载 YIN 处理器并接到源节点，结果写入 latest，新增的曲线点暂存在 pending 等待绘制
+function createPitchState(viz) {
+    const state = { latest: null, pending: [], node: null, error: null, disposed: false };
+    const source = viz.source;
+    const context = source.context;
+
+    loadWorkletModule(context, './js/worklets/pitch-processor.js').then(() => {
+        if (state.disposed) return;
+        state.node = new AudioWorkletNode(context, 'pitch-processor', { numberOfInputs: 1, numberOfOutputs: 0 });
+        state.node.port.onmessage = (e) => {
+            const reading = e.data;
+            const voiced = reading.frequency > 0 && reading.clarity > 0.8;
+            state.latest = voiced ? reading : null;
+            state.pending.push({ time: performance.now(), midi: voiced ? frequencyToMidi(reading.frequency) : null });
+        };
+        source.connect(state.node);
+    }).catch(e => {
+        console.error("音高检测初始化失败:", e);
+        state.error = "浏览器不支持 AudioWorklet，无法检测音高";
+    });
+
+    viz.modeCleanup = () => {
+        state.disposed = true;
+        if (state.node) {
+            state.node.port.onmessage = null;
+            try {
+                source.disconnect(state.node);
+            } catch (e) {
+                // 源节点已断开
+            }
+        }
+    };
+    return state;
+}
+
+// 跟踪鼠标在画布上的横坐标（逻辑像素，离开画布为 -1），频段分析的悬停读数使用
+function trackCanvasHover(viz) {
+    const hover = { x: -1 };
+    const canvas = viz.canvas;
+
+    const onMouseMove = (e) => {
+        hover.x = e.clientX - canvas.getBoundingClientRect().left;
+    };
+    const onMouseLeave = () => {
+        hover.x = -1;
+    };
+    canvas.addEventListener('mousemove', onMouseMove);
+    canvas.addEventListener('mouseleave', onMouseLeave);
+    viz.modeCleanup = () => {
+        canvas.removeEventListener('mousemove', onMouseMove);
+        canvas.removeEventListener('mouseleave', onMouseLeave);
+    };
+    return hover;
 }
 
-// 频谱绘制
-function drawSpectrum(ctx, data, canvas, sensitivity, color) {
-    const barWidth = (canvas.width / data.length) * 2.5;
-    let x = 0;
+// ---- 画布渲染（HiDPI、自适应尺寸、OffscreenCanvas worker） ----
+
+// 画布渲染器：按画布的 CSS 尺寸与设备像素比维护后备缓冲，
+// 在主线程或 OffscreenCanvas worker（visualizer-worker.js）中调用 RenderSurface 绘制
+class CanvasRenderer {
+    // 获取画布的渲染器；首次创建时决定是否交给 worker（浏览器不支持时回退主线程）
+    static forCanvas(canvas, preferWorker) {
+        let renderer = canvasRenderers.get(canvas);
+        if (!renderer) {
+            const supported = typeof canvas.transferControlToOffscreen === "function" && typeof Worker !== "undefined";
+            renderer = new CanvasRenderer(canvas, preferWorker && supported);
+            canvasRenderers.set(canvas, renderer);
+        }
+        return renderer;
+    }
 
-    for (let i = 0; i < data.length; i++) {
-        const barHeight = (data[i] / 255) * canvas.height * (sensitivity / 5);
-        ctx.fillStyle = getColor(i, color);
-        ctx.fillRect(x, canvas.height - barHeight, barWidth, barHeight);
-        x += barWidth + 1;
+    constructor(canvas, useWorker) {
+        this.canvas = canvas;
+        this.pixelWidth = canvas.width;
+        this.pixelHeight = canvas.height;
+        this.busy = false;
+
+        // 页面未指定 CSS 尺寸时按原始宽高比铺满容器宽度，窗口缩放时不变形
+        if (!canvas.style.width && !canvas.style.height) {
+            canvas.style.width = "100%";
+            canvas.style.aspectRatio = `${canvas.width} / ${canvas.height}`;
+        }
+
+        if (useWorker) {
+            const offscreen = canvas.transferControlToOffscreen();
+            this.surface = null;
+            this.worker = new Worker('./js/visualizer-worker.js');
+            this.worker.onmessage = () => {
+                this.busy = false;
+            };
+            this.worker.onerror = (e) => console.error("可视化渲染线程出错:", e.message);
+            this.worker.postMessage({ method: "init", args: [offscreen] }, [offscreen]);
+        } else {
+            this.surface = new RenderSurface(canvas);
+            this.worker = null;
+        }
+
+        // 观察设备像素尺寸（含缩放、跨显示器移动导致的像素比变化）；不支持时退回 CSS 尺寸 × 像素比
+        this.observer = new ResizeObserver(entries => this.onResize(entries[entries.length - 1]));
+        try {
+            this.observer.observe(canvas, { box: "device-pixel-content-box" });
+        } catch (e) {
+            this.observer.observe(canvas);
+        }
+    }
+
+    onResize(entry) {
+        const { width, height } = entry.contentRect;
+        if (width === 0 || height === 0) return; // 隐藏时保持原尺寸
+
+        const devicePixels = entry.devicePixelContentBoxSize?.[0];
+        const ratio = window.devicePixelRatio || 1;
+        const pixelWidth = devicePixels ? devicePixels.inlineSize : Math.round(width * ratio);
+        const pixelHeight = devicePixels ? devicePixels.blockSize : Math.round(height * ratio);
+
+        this.pixelWidth = pixelWidth;
+        this.pixelHeight = pixelHeight;
+        this.call("resize", width, height, pixelWidth, pixelHeight);
+    }
+
+    call(method, ...args) {
+        if (this.worker) {
+            this.worker.postMessage({ method, args });
+        } else {
+            this.surface[method](...args);
+        }
+    }
+
+    // 设置绘制参数 { mode, sensitivity, theme, options }
+    configure(settings) {
+        this.call("configure", settings);
+    }
+
+    // 绘制一帧；worker 仍在绘制上一帧时丢弃本帧并返回 false，避免消息堆积
+    render(frame) {
+        if (!this.worker) {
+            this.surface.render(frame);
+            return true;
+        }
+        if (this.busy) return false;
+
+        this.busy = true;
+        this.worker.postMessage({ method: "render", args: [frame] });
+        return true;
+    }
+
+    clear() {
+        this.call("clear");
+    }
+
+    // 实例不再使用画布时调用：画布已从页面移除则停止观察并结束 worker
+    release() {
+        setTimeout(() => {
+            if (this.canvas.isConnected) return;
+            this.observer.disconnect();
+            this.worker?.terminate();
+            canvasRenderers.delete(this.canvas);
+        }, 0);
     }
 }
 
-// 粒子绘制
-function drawParticles(ctx, data, canvas, sensitivity, color) {
-    ctx.clearRect(0, 0, canvas.width, canvas.height);
-    const particleCount = 50;
-    const step = Math.floor(data.length / particleCount);
+// ---- 节拍检测（粒子模式脉动与 BPM 上报） ----
+
+// 节拍脉冲衰减时间常数（毫秒）；起音（非节拍）脉冲强度
+const BEAT_PULSE_DECAY_MS = 180;
+const ONSET_PULSE = 0.4;
+// 两次上报之间最多累积的节拍时间戳数
+const BEAT_REPORT_LIMIT = 64;
 
-    for (let i = 0; i < particleCount; i++) {
-        const value = data[i * step] / 255;
-        const size = value * 15 * (sensitivity / 5) + 2;
-        const x = (i / particleCount) * canvas.width;
-        const y = canvas.height / 2 + (value * 100 * (sensitivity / 5) * Math.sin(i * 0.5));
+// 节拍跟踪器：将 beat-processor 接到源节点，记录脉冲时间并按间隔把 BPM 与节拍时间戳推给 .NET
+class BeatTracker {
+    constructor(viz) {
+        this.viz = viz;
+        this.source = viz.source;
+        this.context = viz.source.context;
+        this.node = null;
+        this.bpm = 0;
+        this.confidence = 0;
+        this.lastBeatAt = -Infinity;
+        this.lastOnsetAt = -Infinity;
+        // 尚未上报的节拍时间（秒，音频元素播放位置；麦克风输入时为音频上下文时间）
+        this.pendingBeats = [];
+        this.listener = null;
+        this.timer = null;
+        this.disposed = false;
+        // 速度搜索范围 { minBpm, maxBpm }，null 为处理器的默认范围
+        this.range = null;
 
-        ctx.fillStyle = getColor(i, color);
-        ctx.beginPath();
-        ctx.arc(x, y, size, 0, Math.PI * 2);
-        ctx.fill();
+        loadWorkletModule(this.context, './js/worklets/beat-processor.js').then(() => {
+            if (this.disposed) return;
+            this.node = new AudioWorkletNode(this.context, 'beat-processor', {
+                numberOfInputs: 1,
+                numberOfOutputs: 0,
+                processorOptions: this.range ?? {}
+            });
+            this.node.port.onmessage = (e) => this.handleMessage(e.data);
+            this.source.connect(this.node);
+        }).catch(e => console.error("节拍检测初始化失败:", e));
+    }
+
+    handleMessage(message) {
+        switch (message.type) {
+            case "onset":
+                this.lastOnsetAt = performance.now();
+                break;
+            case "beat":
+                this.lastBeatAt = performance.now();
+                this.bpm = message.bpm;
+                this.confidence = message.confidence;
+                if (this.pendingBeats.length < BEAT_REPORT_LIMIT) {
+                    this.pendingBeats.push(this.toMediaTime(message.time));
+                }
+                break;
+            case "tempo":
+                this.bpm = message.bpm;
+                this.confidence = message.confidence;
+                break;
+        }
+    }
+
+    // 音频上下文时间换算为音频元素的播放位置
+    toMediaTime(contextTime) {
+        const audio = this.viz.audioElement;
+        if (!audio) return contextTime;
+        return audio.currentTime - (this.context.currentTime - contextTime) * audio.playbackRate;
+    }
+
+    // 当前脉冲强度（0..1）：节拍为 1，起音为 ONSET_PULSE，按指数衰减
+    pulse(now) {
+        const beat = Math.exp(-(now - this.lastBeatAt) / BEAT_PULSE_DECAY_MS);
+        const onset = ONSET_PULSE * Math.exp(-(now - this.lastOnsetAt) / BEAT_PULSE_DECAY_MS);
+        return Math.max(beat, onset);
+    }
+
+    // 设置（或清除）.NET 监听，按间隔回调 OnBeatUpdate；监听方指定的 BPM 范围同时用于速度搜索
+    listen(listener) {
+        if (listener === this.listener) return;
+
+        clearInterval(this.timer);
+        this.timer = null;
+        this.listener = listener;
+        this.pendingBeats = [];
+        this.setRange(listener?.range ?? null);
+        if (!listener) return;
+
+        this.timer = setInterval(() => this.report(), Math.max(250, listener.intervalMs || 1000));
+    }
+
+    report() {
+        if (this.bpm <= 0 && this.pendingBeats.length === 0) return;
+
+        const beats = this.pendingBeats.map(time => Math.round(time * 1000) / 1000);
+        this.pendingBeats = [];
+        this.listener.dotNetHelper.invokeMethodAsync('OnBeatUpdate', {
+            bpm: Math.round(this.bpm * 10) / 10,
+            confidence: Math.round(this.confidence * 100) / 100,
+            beats
+        }).catch(err => console.error("节拍回调失败:", err));
+    }
+
+    // 设置速度搜索范围 { minBpm, maxBpm }（null 为默认范围），处理器尚未创建时在创建时传入
+    setRange(range) {
+        this.range = range;
+        this.node?.port.postMessage({ type: "range", minBpm: range?.minBpm, maxBpm: range?.maxBpm });
+    }
+
+    // 清空速度估计（切换音频后调用）
+    reset() {
+        this.bpm = 0;
+        this.confidence = 0;
+        this.pendingBeats = [];
+        this.node?.port.postMessage({ type: "reset" });
+    }
+
+    dispose() {
+        this.disposed = true;
+        this.listen(null);
+        if (this.node) {
+            this.node.port.onmessage = null;
+            try {
+                this.source.disconnect(this.node);
+            } catch (e) {
+                // 源节点已断开
+            }
+        }
     }
 }
 
-// 获取颜色（修复中文颜色方案传递）
-function getColor(index, scheme) {
-    switch (scheme) {
-        case "rainbow":
-            return `hsl(${(index * 3) % 360}, 70%, 50%)`;
-        case "blue":
-            return `hsl(200, 70%, ${30 + (index % 50)}%)`;
-        case "red":
-            return `hsl(0, 70%, ${30 + (index % 50)}%)`;
-        case "green":
-            return `hsl(120, 70%, ${30 + (index % 50)}%)`;
-        default:
-            return "white";
+// ---- 相位相关表 ----
+
+// 相关系数平滑时间常数（毫秒）；低于此均方值视为静音，静音超过 CORRELATION_HOLD_MS 后读数清空
+const CORRELATION_TIME_CONSTANT_MS = 300;
+const CORRELATION_SILENCE = 1e-7;
+const CORRELATION_HOLD_MS = 1000;
+
+// 相位相关表：左右声道的皮尔逊相关系数（+1 同相/单声道，0 无关，-1 反相），记录统计以来的最低值
+class CorrelationMeter {
+    constructor() {
+        this.listener = null;
+        this.timer = null;
+        this.reset();
+    }
+
+    reset() {
+        this.value = null;
+        this.minimum = null;
+        this.lastTime = 0;
+        this.lastSoundAt = -Infinity;
+    }
+
+    // 输入一帧左右声道样本（now 为 performance.now() 毫秒）
+    push(left, right, now) {
+        let lr = 0;
+        let ll = 0;
+        let rr = 0;
+        for (let i = 0; i < left.length; i++) {
+            lr += left[i] * right[i];
+            ll += left[i] * left[i];
+            rr += right[i] * right[i];
+        }
+        const elapsed = this.lastTime ? now - this.lastTime : 0;
+        this.lastTime = now;
+
+        if ((ll + rr) / (2 * left.length) < CORRELATION_SILENCE) {
+            if (now - this.lastSoundAt > CORRELATION_HOLD_MS) {
+                this.value = null;
+            }
+            return;
+        }
+        this.lastSoundAt = now;
+
+        // 只有一侧有声时相关性为 0
+        const instant = ll > 0 && rr > 0 ? lr / Math.sqrt(ll * rr) : 0;
+        this.value = this.value === null
+            ? instant
+            : this.value + (instant - this.value) * (1 - Math.exp(-elapsed / CORRELATION_TIME_CONSTANT_MS));
+        this.minimum = this.minimum === null ? this.value : Math.min(this.minimum, this.value);
+    }
+
+    // 设置（或清除）.NET 监听，按间隔回调 OnCorrelationUpdate
+    listen(listener) {
+        clearInterval(this.timer);
+        this.timer = null;
+        this.listener = listener;
+        if (!listener) return;
+
+        this.timer = setInterval(() => this.report(), Math.max(100, listener.intervalMs || 250));
+    }
+
+    report() {
+        const round = (value) => value === null ? null : Math.round(value * 100) / 100;
+        this.listener.dotNetHelper.invokeMethodAsync('OnCorrelationUpdate', {
+            correlation: round(this.value),
+            minimum: round(this.minimum)
+        }).catch(err => console.error("相关性回调失败:", err));
+    }
+}
+
+// ---- 主题（调色板、背景、线宽、柱间距） ----
+
+// 调色板查找表缓存：颜色列表 -> 256 个 CSS 颜色字符串
+const paletteLutCache = new Map();
+
+// "#rrggbb" / "#rgb" -> [r, g, b]；无法解析时返回白色
+function parseHexColor(hex) {
+    const match = /^#?([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(hex?.trim() ?? "");
+    if (!match) return [255, 255, 255];
+
+    const digits = match[1].length === 3 ? match[1].replace(/./g, c => c + c) : match[1];
+    return [0, 2, 4].map(i => parseInt(digits.substr(i, 2), 16));
+}
+
+// 将颜色列表插值为 256 级 CSS 颜色查找表
+function getPaletteLut(colors) {
+    const key = colors.join(",");
+    let lut = paletteLutCache.get(key);
+    if (lut) return lut;
+
+    const anchors = colors.map(parseHexColor);
+    lut = new Array(256);
+    for (let i = 0; i < 256; i++) {
+        const position = i / 255 * (anchors.length - 1);
+        const index = Math.min(anchors.length - 2, Math.floor(position));
+        const t = anchors.length > 1 ? position - index : 0;
+        const from = anchors[Math.max(0, index)];
+        const to = anchors[Math.min(anchors.length - 1, index + 1)];
+        const rgb = from.map((value, c) => Math.round(value + (to[c] - value) * t));
+        lut[i] = `rgb(${rgb[0]}, ${rgb[1]}, ${rgb[2]})`;
+    }
+    paletteLutCache.set(key, lut);
+    return lut;
+}
+
+// 由调色板 id（或 options.paletteColors 自定义颜色）与选项生成绘制主题
+function resolveTheme(palette, options) {
+    const custom = Array.isArray(options.paletteColors) && options.paletteColors.length > 0 ? options.paletteColors : null;
+    return {
+        lut: getPaletteLut(custom ?? PALETTES[palette] ?? PALETTES.rainbow),
+        background: options.background || "",
+        lineWidth: Math.max(0.5, Number(options.lineWidth) || DEFAULT_VISUAL_OPTIONS.lineWidth),
+        barGap: Math.max(0, Number(options.barGap) || 0)
+    };
+}
+
+// ---- Blazor 互操作入口（按画布 id 管理实例） ----
+window.visualizerInterop = {
+    // 启动指定画布的可视化；同一画布重复启动时复用实例
+    start(canvasId, audioElement, type, sensitivity, color, options) {
+        let visualizer = visualizers.get(canvasId);
+        if (!visualizer) {
+            visualizer = new Visualizer(canvasId);
+            visualizers.set(canvasId, visualizer);
+        }
+
+        try {
+            visualizer.start(audioElement, type, sensitivity, color, options);
+            return true;
+        } catch (e) {
+            console.error("可视化初始化失败:", e);
+            window.visualizerInterop.dispose(canvasId);
+            return false;
+        }
+    },
+
+    // 以容器内的音频元素启动指定画布的可视化；元素被重新渲染替换后自动改接（容器内暂无音频元素时等待出现）
+    startInContainer(canvasId, container, type, sensitivity, color, options) {
+        let visualizer = visualizers.get(canvasId);
+        if (!visualizer) {
+            visualizer = new Visualizer(canvasId);
+            visualizers.set(canvasId, visualizer);
+        }
+
+        try {
+            visualizer.follow(container, type, sensitivity, color, options);
+            return true;
+        } catch (e) {
+            console.error("可视化初始化失败:", e);
+            window.visualizerInterop.dispose(canvasId);
+            return false;
+        }
+    },
+
+    // 以麦克风为输入启动指定画布的可视化
+    async startMicrophone(canvasId, type, sensitivity, color, options) {
+        let visualizer = visualizers.get(canvasId);
+        if (!visualizer) {
+            visualizer = new Visualizer(canvasId);
+            visualizers.set(canvasId, visualizer);
+        }
+
+        try {
+            await visualizer.startMicrophone(type, sensitivity, color, options);
+            return true;
+        } catch (e) {
+            console.error("麦克风可视化初始化失败:", e);
+            window.visualizerInterop.dispose(canvasId);
+            return false;
+        }
+    },
+
+    // 更新指定画布的可视化参数
+    update(canvasId, type, color, sensitivity, options) {
+        visualizers.get(canvasId)?.update(type, color, sensitivity, options);
+    },
+
+    // 暂停指定画布的绘制
+    stop(canvasId) {
+        visualizers.get(canvasId)?.stop();
+    },
+
+    // 开始录制指定画布（需已启动可视化）；options: width, height, frameRate, fileName, fromStart
+    startRecording(canvasId, dotNetHelper, options) {
+        const visualizer = visualizers.get(canvasId);
+        if (!visualizer?.source || visualizer.recorder) return false;
+        if (!window.MediaRecorder || !HTMLCanvasElement.prototype.captureStream) return false;
+
+        try {
+            visualizer.recorder = new CanvasRecorder(visualizer, dotNetHelper, options || {});
+            visualizer.recorder.start(options?.fromStart);
+            return true;
+        } catch (e) {
+            console.error("录制初始化失败:", e);
+            visualizer.recorder = null;
+            return false;
+        }
+    },
+
+    // 停止录制并下载文件
+    stopRecording(canvasId) {
+        visualizers.get(canvasId)?.recorder?.stop();
+    },
+
+    // 跟踪指定画布输入的节拍，按 intervalMs 回调 .NET 的 OnBeatUpdate { bpm, confidence, beats }
+    // range 为速度搜索范围 { minBpm, maxBpm }，省略时为 60..180；可在启动可视化之前调用，连接音频后自动开始
+    trackBeats(canvasId, dotNetHelper, intervalMs, range) {
+        let visualizer = visualizers.get(canvasId);
+        if (!visualizer) {
+            visualizer = new Visualizer(canvasId);
+            visualizers.set(canvasId, visualizer);
+        }
+        if (!window.AudioWorkletNode) return false;
+
+        visualizer.beatListener = { dotNetHelper, intervalMs, range: range ?? null };
+        visualizer.syncBeatTracker();
+        return true;
+    },
+
+    // 停止向 .NET 上报节拍（粒子模式下仍保留节拍脉冲）
+    untrackBeats(canvasId) {
+        const visualizer = visualizers.get(canvasId);
+        if (!visualizer) return;
+
+        visualizer.beatListener = null;
+        visualizer.syncBeatTracker();
+    },
+
+    // 清空指定画布的速度估计（更换音频后调用）
+    resetBeats(canvasId) {
+        visualizers.get(canvasId)?.beatTracker?.reset();
+    },
+
+    // 跟踪指定画布输入的左右声道相关性，按 intervalMs 回调 .NET 的 OnCorrelationUpdate { correlation, minimum }
+    // 需已启动可视化；静音时 correlation 为 null
+    trackCorrelation(canvasId, dotNetHelper, intervalMs) {
+        const visualizer = visualizers.get(canvasId);
+        if (!visualizer) return false;
+
+        visualizer.correlation.listen({ dotNetHelper, intervalMs });
+        return true;
+    },
+
+    // 停止向 .NET 上报相关性
+    untrackCorrelation(canvasId) {
+        visualizers.get(canvasId)?.correlation.listen(null);
+    },
+
+    // 清空相关性读数与最低值
+    resetCorrelation(canvasId) {
+        visualizers.get(canvasId)?.correlation.reset();
+    },
+
+    // 将文件选择框中的本地音频直接载入音频元素（不经服务器），返回文件名
+    loadLocalAudio(inputElement, audioElement) {
+        const file = inputElement.files?.[0];
+        if (!file) return null;
+
+        if (audioElement.src.startsWith("blob:")) {
+            URL.revokeObjectURL(audioElement.src);
+        }
+        audioElement.src = URL.createObjectURL(file);
+        return file.name;
+    },
+
+    // 释放指定画布的可视化实例
+    dispose(canvasId) {
+        visualizers.get(canvasId)?.dispose();
+        visualizers.delete(canvasId);
+    },
+
+    // 释放所有可视化实例；共享音频上下文同时被剪辑、混音与波形概览使用，不在此关闭
+    disposeAll() {
+        visualizers.forEach(visualizer => visualizer.dispose());
+        visualizers.clear();
+    }
+};
+
+// 启动可视化（兼容旧调用）
+function startVisualization(canvasId, audioElement, type, sensitivity, color, options) {
+    if (!window.visualizerInterop.start(canvasId, audioElement, type, sensitivity, color, options)) {
+        alert("浏览器不支持音频可视化功能");
     }
 }
 
-// 更新可视化参数
-function updateVisualizationType(type, color, sensitivity) {
-    const canvas = document.getElementById('visualizer');
-    const ctx = canvas.getContext('2d');
-    cancelAnimationFrame(animationId);
-    visualize(ctx, type, sensitivity, color);
+// 更新可视化参数（兼容旧调用，未指定画布时使用默认画布 visualizer）
+function updateVisualizationType(type, color, sensitivity, options, canvasId = 'visualizer') {
+    window.visualizerInterop.update(canvasId, type, color, sensitivity, options);
 }
 
-// 停止可视化
-function stopVisualization() {
-    if (animationId) cancelAnimationFrame(animationId);
-    if (audioContext) audioContext.close();
-}
\ No newline at end of file
+// 停止可视化（兼容旧调用，未指定画布时释放全部实例）
+function stopVisualization(canvasId) {
+    if (canvasId) {
+        window.visualizerInterop.dispose(canvasId);
+    } else {
+        window.visualizerInterop.disposeAll();
+    }
+}
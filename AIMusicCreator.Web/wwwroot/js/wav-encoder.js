@@ -0,0 +1,196 @@
+// WAV 编码：将 AudioBuffer 编码为 16/24 位 PCM 或 32 位浮点 WAV
+// 降低位深时加 TPDF 抖动，采样率转换经 OfflineAudioContext 完成，数据超过 4 GB 时改写 RF64；依赖 visualizer.js（getAudioContext）
+
+// 支持的位深，32 为 IEEE 浮点
+const WAV_BIT_DEPTHS = [16, 24, 32];
+const WAV_FORMAT_PCM = 1;
+const WAV_FORMAT_FLOAT = 3;
+const WAV_FORMAT_EXTENSIBLE = 0xfffe;
+// 标准文件头：RIFF(12) + fmt(24) + data(8)；RF64 多一个 ds64 块(36)
+const WAV_HEADER_SIZE = 44;
+const RF64_HEADER_SIZE = 80;
+const RIFF_SIZE_LIMIT = 0xffffffff;
+// 分块编码的帧数，避免为整个文件分配一块连续内存
+const WAV_CHUNK_FRAMES = 65536;
+// 下载链接保留时间，过早释放会中断大文件下载
+const DOWNLOAD_URL_LIFETIME_MS = 60000;
+
+// 写入 ASCII 标识（RIFF、WAVE、fmt 、data）
+function writeWavTag(view, offset, tag) {
+    for (let i = 0; i < tag.length; i++) {
+        view.setUint8(offset + i, tag.charCodeAt(i));
+    }
+}
+
+// 规范化导出选项 { bitDepth: 16 | 24 | 32, sampleRate: 目标采样率（空为保持不变）, dither: 整数位深是否加抖动，默认开启 }
+function normalizeWavOptions(options) {
+    const bitDepth = WAV_BIT_DEPTHS.includes(Number(options?.bitDepth)) ? Number(options.bitDepth) : 16;
+    const sampleRate = Number(options?.sampleRate) > 0 ? Math.round(options.sampleRate) : null;
+    return { bitDepth, sampleRate, dither: bitDepth < 32 && options?.dither !== false };
+}
+
+// 生成文件头；RIFF 大小超出 32 位时写 RF64，真实大小记录在 ds64 块中，RIFF 与 data 的大小字段填 0xFFFFFFFF
+function writeWavHeader(channels, sampleRate, bitDepth, frames) {
+    const blockAlign = channels * bitDepth / 8;
+    const dataSize = frames * blockAlign;
+    const rf64 = WAV_HEADER_SIZE - 8 + dataSize > RIFF_SIZE_LIMIT;
+    const header = new Uint8Array(rf64 ? RF64_HEADER_SIZE : WAV_HEADER_SIZE);
+    const view = new DataView(header.buffer);
+    const riffSize = header.length - 8 + dataSize;
+    let offset = 12;
+
+    writeWavTag(view, 0, rf64 ? "RF64" : "RIFF");
+    view.setUint32(4, rf64 ? RIFF_SIZE_LIMIT : riffSize, true);
+    writeWavTag(view, 8, "WAVE");
+    if (rf64) {
+        writeWavTag(view, 12, "ds64");
+        view.setUint32(16, 28, true);
+        view.setBigUint64(20, BigInt(riffSize), true);
+        view.setBigUint64(28, BigInt(dataSize), true);
+        view.setBigUint64(36, BigInt(frames), true);
+        view.setUint32(44, 0, true); // 无额外块大小表
+        offset = 48;
+    }
+    writeWavTag(view, offset, "fmt ");
+    view.setUint32(offset + 4, 16, true);
+    view.setUint16(offset + 8, bitDepth === 32 ? WAV_FORMAT_FLOAT : WAV_FORMAT_PCM, true);
+    view.setUint16(offset + 10, channels, true);
+    view.setUint32(offset + 12, sampleRate, true);
+    view.setUint32(offset + 16, sampleRate * blockAlign, true);
+    view.setUint16(offset + 20, blockAlign, true);
+    view.setUint16(offset + 22, bitDepth, true);
+    writeWavTag(view, offset + 24, "data");
+    view.setUint32(offset + 28, rf64 ? RIFF_SIZE_LIMIT : dataSize, true);
+    return header;
+}
+
+// 交错编码 from..to 帧；整数位深按 2^(bits-1) 量化并削波，
+// 抖动为两个均匀随机数之差（±1 LSB 的三角分布），量化误差与信号无关，降位深时不产生谐波失真
+function encodeWavFrames(data, from, to, bitDepth, dither) {
+    const bytesPerSample = bitDepth / 8;
+    const bytes = new Uint8Array((to - from) * data.length * bytesPerSample);
+    const view = new DataView(bytes.buffer);
+    const scale = 2 ** (bitDepth - 1);
+    let offset = 0;
+    for (let i = from; i < to; i++) {
+        for (let c = 0; c < data.length; c++) {
+            const sample = data[c][i];
+            if (bitDepth === 32) {
+                view.setFloat32(offset, sample, true);
+            } else {
+                const noise = dither ? Math.random() - Math.random() : 0;
+                const value = Math.max(-scale, Math.min(scale - 1, Math.round(sample * scale + noise)));
+                if (bitDepth === 16) {
+                    view.setInt16(offset, value, true);
+                } else {
+                    view.setUint8(offset, value & 0xff);
+                    view.setInt16(offset + 1, value >> 8, true);
+                }
+            }
+            offset += bytesPerSample;
+        }
+    }
+    return bytes;
+}
+
+// 编码为完整 WAV 文件（Blob），保持缓冲区的采样率；需要转换采样率时使用 renderWav
+function encodeWav(buffer, options) {
+    const { bitDepth, dither } = normalizeWavOptions(options);
+    const data = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c));
+    const parts = [writeWavHeader(data.length, buffer.sampleRate, bitDepth, buffer.length)];
+    for (let from = 0; from < buffer.length; from += WAV_CHUNK_FRAMES) {
+        parts.push(encodeWavFrames(data, from, Math.min(buffer.length, from + WAV_CHUNK_FRAMES), bitDepth, dither));
+    }
+    return new Blob(parts, { type: "audio/wav" });
+}
+
+// 经 OfflineAudioContext 转换采样率，采样率相同时原样返回
+async function resampleAudioBuffer(buffer, sampleRate) {
+    if (!sampleRate || sampleRate === buffer.sampleRate) return buffer;
+
+    const length = Math.max(1, Math.round(buffer.duration * sampleRate));
+    const context = new OfflineAudioContext(buffer.numberOfChannels, length, sampleRate);
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(context.destination);
+    source.start();
+    return await context.startRendering();
+}
+
+// 按导出选项转换采样率并编码
+async function renderWav(buffer, options) {
+    const normalized = normalizeWavOptions(options);
+    return encodeWav(await resampleAudioBuffer(buffer, normalized.sampleRate), normalized);
+}
+
+// 读取 WAV/RF64 文件的格式 { formatTag, channels, sampleRate, bitDepth }，不是 WAV 时返回 null
+function readWavFormat(bytes) {
+    const tagAt = (offset) => String.fromCharCode(...bytes.subarray(offset, offset + 4));
+    if (bytes.length < 12 || !["RIFF", "RF64"].includes(tagAt(0)) || tagAt(8) !== "WAVE") return null;
+
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    for (let offset = 12; offset + 8 <= bytes.length;) {
+        const size = view.getUint32(offset + 4, true);
+        if (tagAt(offset) === "fmt " && offset + 24 <= bytes.length) {
+            let formatTag = view.getUint16(offset + 8, true);
+            // WAVE_FORMAT_EXTENSIBLE 的实际格式在子格式 GUID 的前两个字节
+            if (formatTag === WAV_FORMAT_EXTENSIBLE && size >= 40 && offset + 34 <= bytes.length) {
+                formatTag = view.getUint16(offset + 32, true);
+            }
+            return {
+                formatTag,
+                channels: view.getUint16(offset + 10, true),
+                sampleRate: view.getUint32(offset + 12, true),
+                bitDepth: view.getUint16(offset + 22, true)
+            };
+        }
+        offset += 8 + size + (size & 1);
+    }
+    return null;
+}
+
+// 以文件原始采样率解码：WAV 从文件头取采样率，其他格式使用音频上下文的采样率
+async function decodeAtSourceRate(bytes) {
+    const format = readWavFormat(bytes);
+    const context = format ? new OfflineAudioContext(1, 1, format.sampleRate) : getAudioContext();
+    // decodeAudioData 会转移 ArrayBuffer，传入副本
+    return await context.decodeAudioData(bytes.slice().buffer);
+}
+
+// 导出文件名统一使用 .wav 扩展名
+function toWavFileName(fileName) {
+    return `${String(fileName || "audio").replace(/\.[^./\\]*$/, "")}.wav`;
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = fileName;
+    document.body.appendChild(link);
+    link.click();
+    document.body.removeChild(link);
+    setTimeout(() => URL.revokeObjectURL(url), DOWNLOAD_URL_LIFETIME_MS);
+}
+
+window.wavEncoderInterop = {
+    // 将音频文件（Uint8Array）按导出选项重新编码为 WAV 并下载
+    // 源文件已是目标位深与采样率的 WAV 时直接保存原始字节，避免对整数样本重复加抖动
+    async save(bytes, fileName, options) {
+        try {
+            const normalized = normalizeWavOptions(options);
+            const format = readWavFormat(bytes);
+            const unchanged = format
+                && format.bitDepth === normalized.bitDepth
+                && format.formatTag === (normalized.bitDepth === 32 ? WAV_FORMAT_FLOAT : WAV_FORMAT_PCM)
+                && (!normalized.sampleRate || normalized.sampleRate === format.sampleRate);
+            const blob = unchanged
+                ? new Blob([bytes], { type: "audio/wav" })
+                : await renderWav(await decodeAtSourceRate(bytes), normalized);
+            downloadBlob(blob, toWavFileName(fileName));
+        } catch (e) {
+            console.error("WAV 导出失败:", e);
+            alert(`WAV 导出失败: ${e.message}`);
+        }
+    }
+};
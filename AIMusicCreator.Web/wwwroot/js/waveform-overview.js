@@ -0,0 +1,304 @@
+// 静态波形概览：decodeAudioData 解码整个文件，在 waveform-worker.js 中计算多级峰值，按显示范围选取合适的级别绘制
+// 用于尚未播放的上传文件或生成结果；依赖 visualizer.js 中的共享音频上下文，剪辑引擎中的结果直接取 audio-edit-engine.js 的 AudioBuffer
+
+// 画布 id -> WaveformView
+const waveformViews = new Map();
+// 峰值计算线程（首次使用时创建）及等待中的请求 id -> { resolve, reject }
+let peakWorker = null;
+const peakRequests = new Map();
+let nextPeakRequestId = 1;
+// 解码串行执行，批量加载时不会同时解码多个文件占满内存
+let decodeQueue = Promise.resolve();
+
+// 默认绘制选项：波形颜色、背景色、底部时间标尺高度（CSS 像素）
+const DEFAULT_WAVEFORM_OPTIONS = {
+    color: "#0d6efd",
+    background: "#f8f9fa",
+    rulerHeight: 16
+};
+
+// 时间标尺可选刻度间隔（秒），取相邻刻度不小于 70 像素的最小间隔
+const RULER_STEPS = [0.1, 0.2, 0.5, 1, 2, 5, 10, 15, 30, 60, 120, 300, 600, 1800];
+const RULER_MIN_SPACING = 70;
+// 放大时显示范围的最小跨度（秒）
+const MIN_VIEW_SPAN = 0.05;
+
+// 解码音频文件（ArrayBuffer 会被转移，调用后不可再用）
+function decodeAudioFile(arrayBuffer) {
+    const task = decodeQueue.then(() => getAudioContext().decodeAudioData(arrayBuffer));
+    decodeQueue = task.catch(() => { });
+    return task;
+}
+
+// 在 worker 中计算峰值金字塔（声道数据会被转移）
+function computePeakLevels(channels) {
+    if (!peakWorker) {
+        peakWorker = new Worker('./js/waveform-worker.js');
+        peakWorker.onmessage = (e) => {
+            peakRequests.get(e.data.id)?.resolve(e.data.levels);
+            peakRequests.delete(e.data.id);
+        };
+        peakWorker.onerror = (e) => {
+            peakRequests.forEach(request => request.reject(new Error(e.message)));
+            peakRequests.clear();
+        };
+    }
+
+    const id = nextPeakRequestId++;
+    return new Promise((resolve, reject) => {
+        peakRequests.set(id, { resolve, reject });
+        peakWorker.postMessage({ id, channels }, channels.map(data => data.buffer));
+    });
+}
+
+// 选取每个峰值覆盖样本数不超过每像素样本数的最粗级别（放大到极限时使用最细一级）
+function pickPeakLevel(levels, samplesPerPixel) {
+    let picked = levels[0];
+    for (const level of levels) {
+        if (level.samplesPerPeak <= samplesPerPixel) {
+            picked = level;
+        }
+    }
+    return picked;
+}
+
+// 时间标签：一分钟以内显示秒，否则显示 分:秒
+function formatWaveformTime(seconds, step) {
+    const decimals = step < 1 ? 1 : 0;
+    if (seconds < 60) return `${seconds.toFixed(decimals)}s`;
+
+    const minutes = Math.floor(seconds / 60);
+    const rest = (seconds - minutes * 60).toFixed(decimals).padStart(decimals ? 4 : 2, "0");
+    return `${minutes}:${rest}`;
+}
+
+// 单个画布的波形概览
+class WaveformView {
+    constructor(canvas, options) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.options = { ...DEFAULT_WAVEFORM_OPTIONS, ...(options || {}) };
+        this.levels = null;
+        this.duration = 0;
+        this.sampleRate = 0;
+        // 当前显示的时间范围（秒）
+        this.viewStart = 0;
+        this.viewEnd = 0;
+        // 每次加载递增，较早的加载完成时发现已被取代则丢弃结果
+        this.loadToken = 0;
+        // 叠加层（选区、播放头等），波形绘制完成后依次调用 overlay(ctx, ratio)
+        this.overlays = [];
+
+        this.observer = new ResizeObserver(() => this.resize());
+        this.observer.observe(canvas);
+    }
+
+    // 后备缓冲跟随 CSS 尺寸与设备像素比
+    resize() {
+        const ratio = window.devicePixelRatio || 1;
+        const width = Math.round(this.canvas.clientWidth * ratio);
+        const height = Math.round(this.canvas.clientHeight * ratio);
+        if (width === 0 || height === 0) return;
+
+        if (this.canvas.width !== width || this.canvas.height !== height) {
+            this.canvas.width = width;
+            this.canvas.height = height;
+        }
+        this.draw();
+    }
+
+    async load(arrayBuffer) {
+        const token = ++this.loadToken;
+        this.clear();
+        return await this.show(await decodeAudioFile(arrayBuffer), token);
+    }
+
+    // 绘制已解码的 AudioBuffer；token 不是最新一次加载时放弃并返回 null
+    async show(buffer, token = ++this.loadToken) {
+        const channels = Array.from({ length: buffer.numberOfChannels }, (_, c) => buffer.getChannelData(c).slice());
+        const levels = await computePeakLevels(channels);
+        if (token !== this.loadToken) return null;
+
+        this.levels = levels;
+        this.duration = buffer.duration;
+        this.sampleRate = buffer.sampleRate;
+        this.viewStart = 0;
+        this.viewEnd = buffer.duration;
+        this.draw();
+        return { duration: buffer.duration, sampleRate: buffer.sampleRate, channels: buffer.numberOfChannels };
+    }
+
+    // 设置显示范围（秒），超出文件长度时截断
+    setView(start, end) {
+        this.viewStart = Math.max(0, Math.min(start, this.duration));
+        this.viewEnd = Math.max(this.viewStart, Math.min(end, this.duration));
+        this.draw();
+    }
+
+    // 以 anchor 秒为中心缩放显示范围，factor > 1 为放大
+    zoom(factor, anchor) {
+        const span = Math.min(this.duration, Math.max(MIN_VIEW_SPAN, (this.viewEnd - this.viewStart) / factor));
+        const ratio = (anchor - this.viewStart) / (this.viewEnd - this.viewStart || 1);
+        const start = Math.max(0, Math.min(this.duration - span, anchor - ratio * span));
+        this.setView(start, start + span);
+    }
+
+    // 平移显示范围（秒），保持跨度不变
+    pan(seconds) {
+        const span = this.viewEnd - this.viewStart;
+        const start = Math.max(0, Math.min(this.duration - span, this.viewStart + seconds));
+        this.setView(start, start + span);
+    }
+
+    // 时间（秒）与后备缓冲横坐标互换
+    timeToX(time) {
+        return (time - this.viewStart) / (this.viewEnd - this.viewStart) * this.canvas.width;
+    }
+
+    xToTime(x) {
+        return this.viewStart + x / this.canvas.width * (this.viewEnd - this.viewStart);
+    }
+
+    clear() {
+        this.levels = null;
+        this.draw();
+    }
+
+    draw() {
+        const { ctx, canvas, options } = this;
+        const { width, height } = canvas;
+        const ratio = window.devicePixelRatio || 1;
+
+        ctx.fillStyle = options.background;
+        ctx.fillRect(0, 0, width, height);
+        if (!this.levels || this.viewEnd <= this.viewStart) return;
+
+        const waveHeight = height - Math.round(options.rulerHeight * ratio);
+        const center = waveHeight / 2;
+        const samplesPerPixel = (this.viewEnd - this.viewStart) * this.sampleRate / width;
+        const { samplesPerPeak, peaks } = pickPeakLevel(this.levels, samplesPerPixel);
+        const peakCount = peaks.length / 2;
+        const firstPeak = this.viewStart * this.sampleRate / samplesPerPeak;
+        const peaksPerPixel = samplesPerPixel / samplesPerPeak;
+
+        // 中心线
+        ctx.fillStyle = "rgba(0, 0, 0, 0.15)";
+        ctx.fillRect(0, Math.floor(center), width, 1);
+
+        ctx.fillStyle = options.color;
+        for (let x = 0; x < width; x++) {
+            const start = Math.floor(firstPeak + x * peaksPerPixel);
+            if (start >= peakCount) break;
+            const end = Math.min(peakCount, Math.max(start + 1, Math.ceil(firstPeak + (x + 1) * peaksPerPixel)));
+
+            let min = peaks[start * 2];
+            let max = peaks[start * 2 + 1];
+            for (let i = start + 1; i < end; i++) {
+                min = Math.min(min, peaks[i * 2]);
+                max = Math.max(max, peaks[i * 2 + 1]);
+            }
+            const top = center - max * center;
+            const bottom = center - min * center;
+            ctx.fillRect(x, top, 1, Math.max(1, bottom - top));
+        }
+
+        this.drawRuler(waveHeight, ratio);
+        for (const overlay of this.overlays) {
+            overlay(ctx, ratio);
+        }
+    }
+
+    // 底部时间标尺
+    drawRuler(top, ratio) {
+        const { ctx, canvas } = this;
+        const span = this.viewEnd - this.viewStart;
+        const pixelsPerSecond = canvas.width / span;
+        const step = RULER_STEPS.find(s => s * pixelsPerSecond >= RULER_MIN_SPACING * ratio) ?? RULER_STEPS[RULER_STEPS.length - 1];
+
+        ctx.fillStyle = "rgba(0, 0, 0, 0.1)";
+        ctx.fillRect(0, top, canvas.width, 1);
+        ctx.fillStyle = "#6c757d";
+        ctx.font = `${Math.round(10 * ratio)}px sans-serif`;
+        ctx.textBaseline = "top";
+        for (let time = Math.ceil(this.viewStart / step) * step; time <= this.viewEnd; time += step) {
+            const x = Math.round((time - this.viewStart) * pixelsPerSecond);
+            ctx.fillRect(x, top, 1, 4 * ratio);
+            ctx.fillText(formatWaveformTime(time, step), x + 3 * ratio, top + 3 * ratio);
+        }
+    }
+
+    dispose() {
+        this.loadToken++;
+        this.observer.disconnect();
+    }
+}
+
+// 取得画布对应的波形概览，不存在（或画布已被替换）时创建；其他模块借此在同一画布上叠加交互
+function getWaveformView(canvasId, options) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return null;
+
+    let view = waveformViews.get(canvasId);
+    if (!view || view.canvas !== canvas) {
+        view?.dispose();
+        view = new WaveformView(canvas, options);
+        waveformViews.set(canvasId, view);
+        view.resize();
+    } else if (options) {
+        view.options = { ...view.options, ...options };
+    }
+    return view;
+}
+
+window.waveformInterop = {
+    // 解码 .NET 传来的音频（DotNetStreamReference）并绘制整段波形
+    // 返回 { duration, sampleRate, channels }；解码失败或被之后的加载取代时返回 null
+    async load(canvasId, streamRef, options) {
+        const view = getWaveformView(canvasId, options);
+        if (!view) return null;
+
+        try {
+            const bytes = await streamRef.arrayBuffer();
+            return await view.load(bytes);
+        } catch (e) {
+            console.error("波形解析失败:", e);
+            view.clear();
+            return null;
+        }
+    },
+
+    // 绘制剪辑引擎中句柄对应的音频，不再经 .NET 传输；返回值同 load
+    async loadEditBuffer(canvasId, id, options) {
+        const view = getWaveformView(canvasId, options);
+        if (!view) return null;
+
+        try {
+            view.clear();
+            return await view.show(getEditBuffer(id));
+        } catch (e) {
+            console.error("波形解析失败:", e);
+            view.clear();
+            return null;
+        }
+    },
+
+    // 设置显示的时间范围（秒）
+    setView(canvasId, start, end) {
+        waveformViews.get(canvasId)?.setView(start, end);
+    },
+
+    // 清空波形
+    clear(canvasId) {
+        const view = waveformViews.get(canvasId);
+        if (!view) return;
+
+        view.loadToken++;
+        view.clear();
+    },
+
+    // 释放画布的波形概览
+    dispose(canvasId) {
+        waveformViews.get(canvasId)?.dispose();
+        waveformViews.delete(canvasId);
+    }
+};
@@ -0,0 +1,58 @@
+// 波形峰值计算线程：由解码后的声道数据生成多级 min/max 峰值金字塔
+// 请求 { id, channels: Float32Array[] }，返回 { id, levels: [{ samplesPerPeak, peaks }] }
+// peaks 为 [min0, max0, min1, max1, ...]（各声道合并），逐级每两个峰值合并为一个
+
+// 最细一级每个峰值覆盖的样本数
+const BASE_SAMPLES_PER_PEAK = 128;
+// 峰值数少于此值时不再生成更粗的级别
+const MIN_LEVEL_PEAKS = 256;
+
+function computeBaseLevel(channels) {
+    const length = channels[0].length;
+    const count = Math.ceil(length / BASE_SAMPLES_PER_PEAK);
+    const peaks = new Float32Array(count * 2);
+
+    for (let i = 0; i < count; i++) {
+        const start = i * BASE_SAMPLES_PER_PEAK;
+        const end = Math.min(length, start + BASE_SAMPLES_PER_PEAK);
+        let min = 0;
+        let max = 0;
+        for (const data of channels) {
+            for (let j = start; j < end; j++) {
+                const sample = data[j];
+                if (sample < min) min = sample;
+                if (sample > max) max = sample;
+            }
+        }
+        peaks[i * 2] = min;
+        peaks[i * 2 + 1] = max;
+    }
+    return peaks;
+}
+
+function mergeLevel(peaks) {
+    const count = Math.ceil(peaks.length / 4);
+    const merged = new Float32Array(count * 2);
+    for (let i = 0; i < count; i++) {
+        const a = i * 4;
+        const hasPair = a + 2 < peaks.length;
+        merged[i * 2] = hasPair ? Math.min(peaks[a], peaks[a + 2]) : peaks[a];
+        merged[i * 2 + 1] = hasPair ? Math.max(peaks[a + 1], peaks[a + 3]) : peaks[a + 1];
+    }
+    return merged;
+}
+
+self.onmessage = (e) => {
+    const { id, channels } = e.data;
+    let peaks = computeBaseLevel(channels);
+    let samplesPerPeak = BASE_SAMPLES_PER_PEAK;
+    const levels = [{ samplesPerPeak, peaks }];
+
+    while (peaks.length / 2 > MIN_LEVEL_PEAKS) {
+        peaks = mergeLevel(peaks);
+        samplesPerPeak *= 2;
+        levels.push({ samplesPerPeak, peaks });
+    }
+
+    self.postMessage({ id, levels }, levels.map(level => level.peaks.buffer));
+};
@@ -0,0 +1,305 @@
+// 起音 / 节拍检测（AudioWorklet 处理器）
+// 多频带能量的对数谱通量作为起音包络；包络自相关估计速度，梳状相位匹配预测节拍
+// 上报消息：{ type: "onset", time, strength } / { type: "beat", time, bpm, confidence } / { type: "tempo", bpm, confidence }
+// time 为音频上下文时间（秒）
+// 速度搜索范围由 processorOptions { minBpm, maxBpm } 或消息 { type: "range", minBpm, maxBpm } 设置
+
+// 每帧样本数（44.1kHz 下约 11.6ms）
+const HOP_SIZE = 512;
+// 频带划分（Hz），低频带对鼓点最敏感
+const BANDS = [[40, 150], [150, 400], [400, 1200], [1200, 4000], [4000, 12000]];
+// 起音包络保留时长（秒），用于速度估计
+const ENVELOPE_SECONDS = 8;
+// 速度估计的默认 BPM 范围与偏好中心（对数高斯先验，减少倍速/半速误判）
+const DEFAULT_MIN_BPM = 60;
+const DEFAULT_MAX_BPM = 180;
+// 可设置的范围：包络至少要容纳三个最长周期
+const BPM_LIMITS = [30, 300];
+const PREFERRED_BPM = 120;
+const TEMPO_PRIOR_WIDTH = 1.0;
+// 半周期处的自相关不低于选中周期的该比例时改取倍速：周期为 P 的信号在 2P 处同样相关，先验会偏向较慢的 2P
+const DOUBLE_TEMPO_RATIO = 0.8;
+// 速度重新估计间隔（秒）
+const TEMPO_UPDATE_SECONDS = 1;
+// 自适应阈值窗口（秒）与倍数、两次起音的最小间隔（秒）
+const THRESHOLD_SECONDS = 0.5;
+const THRESHOLD_RATIO = 1.5;
+const MIN_ONSET_INTERVAL = 0.1;
+// 低于此 RMS 视为静音，静音超过 SILENCE_SECONDS 后停止输出节拍
+const SILENCE_RMS = 0.003;
+const SILENCE_SECONDS = 1;
+
+// 带通双二阶滤波器（RBJ，恒定 0dB 峰值增益，直接 II 型转置）
+class BandPass {
+    constructor(low, high, fs) {
+        const center = Math.sqrt(low * high);
+        const q = center / (high - low);
+        const w0 = 2 * Math.PI * Math.min(center, fs * 0.45) / fs;
+        const alpha = Math.sin(w0) / (2 * q);
+        const a0 = 1 + alpha;
+        this.b0 = alpha / a0;
+        this.b2 = -alpha / a0;
+        this.a1 = -2 * Math.cos(w0) / a0;
+        this.a2 = (1 - alpha) / a0;
+        this.z1 = 0;
+        this.z2 = 0;
+    }
+
+    process(x) {
+        const y = this.b0 * x + this.z1;
+        this.z1 = -this.a1 * y + this.z2;
+        this.z2 = this.b2 * x - this.a2 * y;
+        return y;
+    }
+}
+
+class BeatProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+        this.setRange(options?.processorOptions?.minBpm, options?.processorOptions?.maxBpm);
+        this.frameRate = sampleRate / HOP_SIZE;
+        this.filters = BANDS.filter(([low]) => low < sampleRate / 2).map(([low, high]) => new BandPass(low, high, sampleRate));
+        this.bandEnergy = new Float32Array(this.filters.length);
+        this.previousLog = new Float32Array(this.filters.length);
+        this.envelope = new Float32Array(Math.round(ENVELOPE_SECONDS * this.frameRate));
+        this.reset();
+
+        this.port.onmessage = (e) => {
+            if (e.data?.type === "reset") {
+                this.reset();
+            } else if (e.data?.type === "range") {
+                this.setRange(e.data.minBpm, e.data.maxBpm);
+            }
+        };
+    }
+
+    // 设置速度搜索范围，未指定或无效时使用默认范围
+    setRange(minBpm, maxBpm) {
+        const clamp = (bpm) => Math.max(BPM_LIMITS[0], Math.min(BPM_LIMITS[1], bpm));
+        const valid = Number.isFinite(minBpm) && Number.isFinite(maxBpm) && minBpm < maxBpm;
+        this.minBpm = valid ? clamp(minBpm) : DEFAULT_MIN_BPM;
+        this.maxBpm = valid ? clamp(maxBpm) : DEFAULT_MAX_BPM;
+        this.preferredBpm = Math.max(this.minBpm, Math.min(this.maxBpm, PREFERRED_BPM));
+    }
+
+    reset() {
+        this.envelope.fill(0);
+        this.previousLog.fill(0);
+        this.bandEnergy.fill(0);
+        this.frameSamples = 0;
+        this.frameEnergy = 0;
+        // 已完成的帧数；包络按 frameIndex % length 环形写入
+        this.frameIndex = 0;
+        this.lastOnsetFrame = -Infinity;
+        this.silentFrames = 0;
+        this.framesSinceTempo = 0;
+        this.period = 0;
+        this.confidence = 0;
+        this.nextBeatFrame = Infinity;
+        this.lastBeatFrame = -Infinity;
+        // 上下文时间原点：第 0 帧开始时的 currentTime
+        this.originTime = null;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) return true;
+        if (this.originTime === null) {
+            this.originTime = currentTime;
+        }
+
+        const frames = input[0].length;
+        for (let i = 0; i < frames; i++) {
+            let sample = 0;
+            for (let c = 0; c < input.length; c++) {
+                sample += input[c][i];
+            }
+            sample /= input.length;
+            this.frameEnergy += sample * sample;
+
+            for (let b = 0; b < this.filters.length; b++) {
+                const y = this.filters[b].process(sample);
+                this.bandEnergy[b] += y * y;
+            }
+
+            if (++this.frameSamples >= HOP_SIZE) {
+                this.finishFrame();
+            }
+        }
+        return true;
+    }
+
+    frameTime(frame) {
+        return this.originTime + (frame + 1) * HOP_SIZE / sampleRate;
+    }
+
+    envelopeAt(frame) {
+        const length = this.envelope.length;
+        return this.envelope[((frame % length) + length) % length];
+    }
+
+    // 完成一帧：计算谱通量，检测起音，推进节拍预测
+    finishFrame() {
+        let flux = 0;
+        for (let b = 0; b < this.filters.length; b++) {
+            const logEnergy = Math.log1p(1000 * this.bandEnergy[b] / HOP_SIZE);
+            flux += Math.max(0, logEnergy - this.previousLog[b]);
+            this.previousLog[b] = logEnergy;
+            this.bandEnergy[b] = 0;
+        }
+
+        const rms = Math.sqrt(this.frameEnergy / HOP_SIZE);
+        this.silentFrames = rms < SILENCE_RMS ? this.silentFrames + 1 : 0;
+        this.frameEnergy = 0;
+        this.frameSamples = 0;
+
+        const frame = this.frameIndex;
+        this.envelope[frame % this.envelope.length] = flux;
+        this.frameIndex++;
+
+        this.detectOnset(frame - 1);
+
+        if (++this.framesSinceTempo >= TEMPO_UPDATE_SECONDS * this.frameRate) {
+            this.framesSinceTempo = 0;
+            this.estimateTempo();
+        }
+
+        this.advanceBeat(frame);
+    }
+
+    // 检测上一帧是否为起音：局部极大且高于近期均值的 THRESHOLD_RATIO 倍
+    detectOnset(frame) {
+        if (frame < 1 || this.silentFrames > 0) return;
+
+        const value = this.envelopeAt(frame);
+        if (value <= this.envelopeAt(frame - 1) || value < this.envelopeAt(frame + 1)) return;
+
+        const windowFrames = Math.round(THRESHOLD_SECONDS * this.frameRate);
+        let sum = 0;
+        for (let i = 1; i <= windowFrames; i++) {
+            sum += this.envelopeAt(frame - i);
+        }
+        const threshold = THRESHOLD_RATIO * sum / windowFrames + 0.05;
+        if (value < threshold) return;
+        if ((frame - this.lastOnsetFrame) / this.frameRate < MIN_ONSET_INTERVAL) return;
+
+        this.lastOnsetFrame = frame;
+        this.port.postMessage({ type: "onset", time: this.frameTime(frame), strength: value / threshold });
+    }
+
+    // 速度估计：去均值包络的自相关，在 BPM 范围内加先验权重后取最大值
+    estimateTempo() {
+        const length = Math.min(this.frameIndex, this.envelope.length);
+        const minLag = Math.floor(60 * this.frameRate / this.maxBpm);
+        const maxLag = Math.ceil(60 * this.frameRate / this.minBpm);
+        if (length < maxLag * 3 || this.silentFrames > SILENCE_SECONDS * this.frameRate) {
+            this.period = 0;
+            this.confidence = 0;
+            this.nextBeatFrame = Infinity;
+            return;
+        }
+
+        // 三点平滑，使周期不是整数帧时自相关峰不被离散化削弱
+        const start = this.frameIndex - length;
+        const values = new Float32Array(length);
+        let mean = 0;
+        for (let i = 0; i < length; i++) {
+            const previous = this.envelopeAt(start + Math.max(0, i - 1));
+            const following = this.envelopeAt(start + Math.min(length - 1, i + 1));
+            values[i] = 0.25 * previous + 0.5 * this.envelopeAt(start + i) + 0.25 * following;
+            mean += values[i];
+        }
+        mean /= length;
+        let energy = 0;
+        for (let i = 0; i < length; i++) {
+            values[i] -= mean;
+            energy += values[i] * values[i];
+        }
+        if (energy <= 0) return;
+
+        const acf = new Float32Array(maxLag + 2);
+        for (let lag = minLag - 1; lag <= maxLag + 1; lag++) {
+            let sum = 0;
+            for (let i = lag; i < length; i++) {
+                sum += values[i] * values[i - lag];
+            }
+            acf[lag] = sum / (length - lag);
+        }
+
+        let bestLag = -1;
+        let bestScore = -Infinity;
+        for (let lag = minLag; lag <= maxLag; lag++) {
+            const bpm = 60 * this.frameRate / lag;
+            const prior = Math.exp(-0.5 * Math.pow(Math.log2(bpm / this.preferredBpm) / TEMPO_PRIOR_WIDTH, 2));
+            const score = acf[lag] * prior;
+            if (score > bestScore) {
+                bestScore = score;
+                bestLag = lag;
+            }
+        }
+        if (bestLag < 0 || acf[bestLag] <= 0) {
+            this.confidence = 0;
+            return;
+        }
+        for (let half = Math.round(bestLag / 2); half >= minLag; half = Math.round(bestLag / 2)) {
+            const peak = acf[half - 1] > acf[half] ? half - 1 : (acf[half + 1] > acf[half] ? half + 1 : half);
+            if (peak < minLag || acf[peak] < DOUBLE_TEMPO_RATIO * acf[bestLag]) break;
+            bestLag = peak;
+        }
+
+        // 抛物线插值得到小数周期
+        const prev = acf[bestLag - 1];
+        const next = acf[bestLag + 1];
+        const denominator = prev - 2 * acf[bestLag] + next;
+        const shift = denominator !== 0 ? 0.5 * (prev - next) / denominator : 0;
+        this.period = bestLag + Math.max(-0.5, Math.min(0.5, shift));
+        this.confidence = Math.max(0, Math.min(1, acf[bestLag] / (energy / length)));
+
+        this.alignPhase(values);
+        this.port.postMessage({ type: "tempo", bpm: 60 * this.frameRate / this.period, confidence: this.confidence });
+    }
+
+    // 相位匹配：在一个周期内寻找与包络梳状采样和最大的偏移，据此预测下一拍
+    alignPhase(values) {
+        const length = values.length;
+        const period = this.period;
+        let bestOffset = 0;
+        let bestSum = -Infinity;
+        for (let offset = 0; offset < period; offset++) {
+            let sum = 0;
+            for (let position = length - 1 - offset; position >= 0; position -= period) {
+                sum += values[Math.round(position)] || 0;
+            }
+            if (sum > bestSum) {
+                bestSum = sum;
+                bestOffset = offset;
+            }
+        }
+
+        const lastFrame = this.frameIndex - 1;
+        let next = lastFrame - bestOffset + period;
+        // 避免相位修正后与刚输出的节拍挨得太近而重复
+        while (next - this.lastBeatFrame < period * 0.5) {
+            next += period;
+        }
+        this.nextBeatFrame = next;
+    }
+
+    advanceBeat(frame) {
+        if (frame < this.nextBeatFrame) return;
+
+        const beatFrame = Math.round(this.nextBeatFrame);
+        this.lastBeatFrame = this.nextBeatFrame;
+        this.nextBeatFrame += this.period;
+        if (this.silentFrames > SILENCE_SECONDS * this.frameRate) return;
+
+        this.port.postMessage({
+            type: "beat",
+            time: this.frameTime(beatFrame),
+            bpm: 60 * this.frameRate / this.period,
+            confidence: this.confidence
+        });
+    }
+}
+
+registerProcessor("beat-processor", BeatProcessor);
@@ -0,0 +1,262 @@
+// ITU-R BS.1770 / EBU R128 响度计量（AudioWorklet 处理器）
+// 计算瞬时响度(M, 400ms)、短期响度(S, 3s)、综合响度(I)、响度范围(LRA) 与真峰值(TP)
+
+// 每个测量块 100ms；瞬时窗口 4 块，短期窗口 30 块
+const BLOCK_SECONDS = 0.1;
+const MOMENTARY_BLOCKS = 4;
+const SHORT_TERM_BLOCKS = 30;
+const ABSOLUTE_GATE = -70;
+const INTEGRATED_RELATIVE_GATE = -10;
+const LRA_RELATIVE_GATE = -20;
+
+// 门限用的响度直方图（与 libebur128 相同）：-70..+30 LUFS，每格 0.1 LU；长时间测量时内存与计算量保持不变
+const HISTOGRAM_MIN = ABSOLUTE_GATE;
+const HISTOGRAM_STEP = 0.1;
+const HISTOGRAM_BINS = 1000;
+
+// 真峰值过采样倍数及每相位抽头数（BS.1770-4 附录 2 建议 4 倍）
+const OVERSAMPLE = 4;
+const TAPS_PER_PHASE = 12;
+
+// 声道权重（按 5.1 顺序 L R C LFE Ls Rs，LFE 不计入）
+const CHANNEL_WEIGHTS = [1, 1, 1, 0, 1.41, 1.41];
+
+// 均方值转响度（LUFS）
+function powerToLoudness(power) {
+    return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+// 响度所在的直方图格，超出范围时归入两端
+function histogramBin(loudness) {
+    return Math.max(0, Math.min(HISTOGRAM_BINS - 1, Math.floor((loudness - HISTOGRAM_MIN) / HISTOGRAM_STEP)));
+}
+
+// 双二阶滤波器（直接 II 型转置）
+class Biquad {
+    constructor(b0, b1, b2, a1, a2) {
+        Object.assign(this, { b0, b1, b2, a1, a2 });
+        this.z1 = 0;
+        this.z2 = 0;
+    }
+
+    process(x) {
+        const y = this.b0 * x + this.z1;
+        this.z1 = this.b1 * x - this.a1 * y + this.z2;
+        this.z2 = this.b2 * x - this.a2 * y;
+        return y;
+    }
+}
+
+// K 计权：高架预滤波 + RLB 高通，系数按采样率计算（与 48kHz 标准系数一致）
+function createKWeighting(fs) {
+    let K = Math.tan(Math.PI * 1681.974450955533 / fs);
+    let Q = 0.7071752369554196;
+    const Vh = Math.pow(10, 3.999843853973347 / 20);
+    const Vb = Math.pow(Vh, 0.4996667741545416);
+    let a0 = 1 + K / Q + K * K;
+    const shelf = new Biquad(
+        (Vh + Vb * K / Q + K * K) / a0,
+        2 * (K * K - Vh) / a0,
+        (Vh - Vb * K / Q + K * K) / a0,
+        2 * (K * K - 1) / a0,
+        (1 - K / Q + K * K) / a0
+    );
+
+    K = Math.tan(Math.PI * 38.13547087602444 / fs);
+    Q = 0.5003270373238773;
+    a0 = 1 + K / Q + K * K;
+    const highPass = new Biquad(1, -2, 1, 2 * (K * K - 1) / a0, (1 - K / Q + K * K) / a0);
+
+    return [shelf, highPass];
+}
+
+// 过采样插值滤波器（加窗 sinc，按相位拆分）
+function createInterpolationPhases() {
+    const length = OVERSAMPLE * TAPS_PER_PHASE;
+    const center = (length - 1) / 2;
+    const phases = Array.from({ length: OVERSAMPLE }, () => new Float32Array(TAPS_PER_PHASE));
+
+    for (let n = 0; n < length; n++) {
+        const t = (n - center) / OVERSAMPLE;
+        const sinc = t === 0 ? 1 : Math.sin(Math.PI * t) / (Math.PI * t);
+        const window = 0.5 - 0.5 * Math.cos(2 * Math.PI * (n + 0.5) / length);
+        phases[n % OVERSAMPLE][Math.floor(n / OVERSAMPLE)] = sinc * window;
+    }
+    return phases;
+}
+
+class LoudnessProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.blockSize = Math.round(sampleRate * BLOCK_SECONDS);
+        this.phases = createInterpolationPhases();
+        this.reset();
+
+        this.port.onmessage = (e) => {
+            if (e.data?.type === "reset") {
+                this.reset();
+            }
+        };
+    }
+
+    reset() {
+        this.filters = [];
+        this.history = [];
+        this.blockSums = [];
+        this.blockPosition = 0;
+        // 最近 30 个块的加权均方值（环形缓冲）
+        this.recentBlocks = [];
+        // 通过绝对门限的 400ms 块（综合响度）：各格的块数与功率和，以及全部块的功率和
+        this.gatingCounts = new Uint32Array(HISTOGRAM_BINS);
+        this.gatingPowers = new Float64Array(HISTOGRAM_BINS);
+        this.gatingTotal = { count: 0, power: 0 };
+        // 通过绝对门限的短期响度（响度范围）：各格的个数，以及全部值的能量和
+        this.shortTermCounts = new Uint32Array(HISTOGRAM_BINS);
+        this.shortTermTotal = { count: 0, energy: 0 };
+        this.truePeak = 0;
+    }
+
+    // 确保声道数变化时滤波器与插值历史同步
+    ensureChannels(count) {
+        while (this.filters.length < count) {
+            this.filters.push(createKWeighting(sampleRate));
+            this.history.push(new Float32Array(TAPS_PER_PHASE));
+            this.blockSums.push(0);
+        }
+    }
+
+    // 将样本推入插值历史并返回过采样后的最大绝对值
+    oversampledPeak(channel, sample) {
+        const history = this.history[channel];
+        history.copyWithin(1, 0);
+        history[0] = sample;
+
+        let peak = Math.abs(sample);
+        for (const taps of this.phases) {
+            let value = 0;
+            for (let i = 0; i < TAPS_PER_PHASE; i++) {
+                value += taps[i] * history[i];
+            }
+            peak = Math.max(peak, Math.abs(value));
+        }
+        return peak;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) return true;
+
+        this.ensureChannels(input.length);
+        const frames = input[0].length;
+
+        for (let i = 0; i < frames; i++) {
+            for (let c = 0; c < input.length; c++) {
+                const sample = input[c][i];
+                this.truePeak = Math.max(this.truePeak, this.oversampledPeak(c, sample));
+
+                const [shelf, highPass] = this.filters[c];
+                const weighted = highPass.process(shelf.process(sample));
+                this.blockSums[c] += weighted * weighted;
+            }
+
+            if (++this.blockPosition >= this.blockSize) {
+                this.finishBlock(input.length);
+            }
+        }
+        return true;
+    }
+
+    // 完成一个 100ms 块：更新各窗口响度并上报
+    finishBlock(channelCount) {
+        let power = 0;
+        for (let c = 0; c < channelCount; c++) {
+            const weight = channelCount <= 2 ? 1 : (CHANNEL_WEIGHTS[c] ?? 1);
+            power += weight * this.blockSums[c] / this.blockSize;
+            this.blockSums[c] = 0;
+        }
+        this.blockPosition = 0;
+
+        this.recentBlocks.push(power);
+        if (this.recentBlocks.length > SHORT_TERM_BLOCKS) {
+            this.recentBlocks.shift();
+        }
+
+        const momentaryPower = this.windowPower(MOMENTARY_BLOCKS);
+        const momentary = powerToLoudness(momentaryPower);
+        if (momentaryPower !== null && momentary > ABSOLUTE_GATE) {
+            const bin = histogramBin(momentary);
+            this.gatingCounts[bin]++;
+            this.gatingPowers[bin] += momentaryPower;
+            this.gatingTotal.count++;
+            this.gatingTotal.power += momentaryPower;
+        }
+
+        const shortTermPower = this.windowPower(SHORT_TERM_BLOCKS);
+        const shortTerm = powerToLoudness(shortTermPower);
+        if (shortTermPower !== null && shortTerm > ABSOLUTE_GATE) {
+            this.shortTermCounts[histogramBin(shortTerm)]++;
+            this.shortTermTotal.count++;
+            this.shortTermTotal.energy += Math.pow(10, shortTerm / 10);
+        }
+
+        this.port.postMessage({
+            momentary: momentaryPower === null ? -Infinity : momentary,
+            shortTerm: shortTermPower === null ? -Infinity : shortTerm,
+            integrated: this.integratedLoudness(),
+            loudnessRange: this.loudnessRange(),
+            truePeak: this.truePeak > 0 ? 20 * Math.log10(this.truePeak) : -Infinity
+        });
+    }
+
+    // 最近 n 个块的平均功率；块数不足时返回 null
+    windowPower(blocks) {
+        if (this.recentBlocks.length < blocks) return null;
+        let sum = 0;
+        for (let i = this.recentBlocks.length - blocks; i < this.recentBlocks.length; i++) {
+            sum += this.recentBlocks[i];
+        }
+        return sum / blocks;
+    }
+
+    // 综合响度：绝对门限 -70 LUFS 后，再以相对门限 -10 LU 二次门限（门限所在格整格计入）
+    integratedLoudness() {
+        const total = this.gatingTotal;
+        if (total.count === 0) return -Infinity;
+
+        const threshold = powerToLoudness(total.power / total.count) + INTEGRATED_RELATIVE_GATE;
+        let sum = 0;
+        let count = 0;
+        for (let bin = histogramBin(threshold); bin < HISTOGRAM_BINS; bin++) {
+            sum += this.gatingPowers[bin];
+            count += this.gatingCounts[bin];
+        }
+        return count > 0 ? powerToLoudness(sum / count) : -Infinity;
+    }
+
+    // 响度范围（EBU Tech 3342）：相对门限 -20 LU 后短期响度的 10%~95% 分位差，分位值取所在格的中心
+    loudnessRange() {
+        const total = this.shortTermTotal;
+        if (total.count < 2) return 0;
+
+        const threshold = 10 * Math.log10(total.energy / total.count) + LRA_RELATIVE_GATE;
+        const first = histogramBin(threshold);
+        let gated = 0;
+        for (let bin = first; bin < HISTOGRAM_BINS; bin++) {
+            gated += this.shortTermCounts[bin];
+        }
+        if (gated < 2) return 0;
+
+        const percentile = (p) => {
+            const rank = Math.round((gated - 1) * p);
+            let seen = 0;
+            for (let bin = first; bin < HISTOGRAM_BINS; bin++) {
+                seen += this.shortTermCounts[bin];
+                if (seen > rank) return HISTOGRAM_MIN + (bin + 0.5) * HISTOGRAM_STEP;
+            }
+            return HISTOGRAM_MIN + HISTOGRAM_BINS * HISTOGRAM_STEP;
+        };
+        return percentile(0.95) - percentile(0.1);
+    }
+}
+
+registerProcessor("loudness-processor", LoudnessProcessor);
@@ -0,0 +1,116 @@
+// YIN 基频检测（AudioWorklet 处理器）
+// 输入混为单声道，高采样率时先 2 倍抽取以降低计算量，每个跳步上报一次 { frequency, clarity, rms }
+
+// 分析窗口与最大延迟（抽取后的样本数），可检测下限约为 有效采样率 / MAX_LAG
+const WINDOW_SIZE = 512;
+const MAX_LAG = 512;
+const HOP_SIZE = 256;
+// 可检测上限（Hz）
+const MAX_FREQUENCY = 1500;
+// 累积均值归一化差分的绝对阈值
+const YIN_THRESHOLD = 0.15;
+// 低于此 RMS 视为静音，不做检测
+const SILENCE_RMS = 0.01;
+
+class PitchProcessor extends AudioWorkletProcessor {
+    constructor() {
+        super();
+        this.decimation = sampleRate > 32000 ? 2 : 1;
+        this.rate = sampleRate / this.decimation;
+        this.buffer = new Float32Array(WINDOW_SIZE + MAX_LAG);
+        this.difference = new Float32Array(MAX_LAG + 1);
+        this.filled = 0;
+        this.pending = 0;
+        this.pendingCount = 0;
+    }
+
+    process(inputs) {
+        const input = inputs[0];
+        if (!input || input.length === 0) return true;
+
+        const frames = input[0].length;
+        for (let i = 0; i < frames; i++) {
+            let sample = 0;
+            for (let c = 0; c < input.length; c++) {
+                sample += input[c][i];
+            }
+            this.pending += sample / input.length;
+
+            // 抽取：相邻样本取平均（兼作简单低通）
+            if (++this.pendingCount < this.decimation) continue;
+            this.push(this.pending / this.decimation);
+            this.pending = 0;
+            this.pendingCount = 0;
+        }
+        return true;
+    }
+
+    // 缓冲区填满后检测一次，然后丢弃最早的 HOP_SIZE 个样本
+    push(sample) {
+        this.buffer[this.filled++] = sample;
+        if (this.filled < this.buffer.length) return;
+
+        this.port.postMessage(this.detect());
+        this.buffer.copyWithin(0, HOP_SIZE);
+        this.filled -= HOP_SIZE;
+    }
+
+    detect() {
+        const x = this.buffer;
+        let energy = 0;
+        for (let j = 0; j < WINDOW_SIZE; j++) {
+            energy += x[j] * x[j];
+        }
+        const rms = Math.sqrt(energy / WINDOW_SIZE);
+        if (rms < SILENCE_RMS) {
+            return { frequency: 0, clarity: 0, rms };
+        }
+
+        // 差分函数 d(tau)
+        const d = this.difference;
+        for (let tau = 1; tau <= MAX_LAG; tau++) {
+            let sum = 0;
+            for (let j = 0; j < WINDOW_SIZE; j++) {
+                const delta = x[j] - x[j + tau];
+                sum += delta * delta;
+            }
+            d[tau] = sum;
+        }
+
+        // 累积均值归一化，寻找第一个低于阈值的局部最小值
+        const minLag = Math.max(2, Math.floor(this.rate / MAX_FREQUENCY));
+        let runningSum = 0;
+        let bestLag = -1;
+        let bestValue = 1;
+        d[0] = 1;
+        for (let tau = 1; tau <= MAX_LAG; tau++) {
+            runningSum += d[tau];
+            d[tau] = runningSum > 0 ? d[tau] * tau / runningSum : 1;
+            if (tau < minLag) continue;
+
+            if (bestLag < 0 && d[tau] < YIN_THRESHOLD) {
+                bestLag = tau;
+            } else if (bestLag >= 0 && tau === bestLag + 1 && d[tau] < d[bestLag]) {
+                bestLag = tau;
+            }
+            if (d[tau] < bestValue && bestLag < 0) {
+                bestValue = d[tau];
+            }
+        }
+
+        if (bestLag < 0 || bestLag >= MAX_LAG) {
+            return { frequency: 0, clarity: 1 - bestValue, rms };
+        }
+
+        // 抛物线插值精化延迟
+        const prev = d[bestLag - 1];
+        const next = d[bestLag + 1];
+        const denominator = prev - 2 * d[bestLag] + next;
+        const shift = denominator !== 0 ? 0.5 * (prev - next) / denominator : 0;
+        const lag = bestLag + Math.max(-1, Math.min(1, shift));
+
+        return { frequency: this.rate / lag, clarity: 1 - d[bestLag], rms };
+    }
+}
+
+registerProcessor("pitch-processor", PitchProcessor);
@@ -0,0 +1,329 @@
+// 流式 ZIP 写入：逐个文件边读边写，不把整个压缩包或 base64 字符串留在内存中
+// 支持存储与 deflate（CompressionStream "deflate-raw"，不支持时回退为存储）、UTF-8 文件名与 ZIP64（超过 4 GB 或 65535 个文件）
+// 大小写在数据之后，写本地头时无法确定是否超过 4 GB，因此每个文件的本地头都带 ZIP64 扩展字段，数据描述符的大小为 8 字节（APPNOTE 4.3.9.2）
+// 支持 File System Access API 时直接写入用户选择的文件，否则分段合并为 Blob 后下载；依赖 wav-encoder.js（downloadBlob）
+
+// 压缩包 id -> ZipWriter
+const zipArchives = new Map();
+let nextZipArchiveId = 1;
+
+const ZIP_LOCAL_HEADER_SIGNATURE = 0x04034b50;
+const ZIP_DATA_DESCRIPTOR_SIGNATURE = 0x08074b50;
+const ZIP_CENTRAL_HEADER_SIGNATURE = 0x02014b50;
+const ZIP64_END_SIGNATURE = 0x06064b50;
+const ZIP64_LOCATOR_SIGNATURE = 0x07064b50;
+const ZIP_END_SIGNATURE = 0x06054b50;
+// 标志位：bit 3 大小与 CRC 写在数据之后，bit 11 文件名为 UTF-8
+const ZIP_FLAGS = 0x0808;
+const ZIP_METHOD_STORE = 0;
+const ZIP_METHOD_DEFLATE = 8;
+const ZIP64_VERSION = 45;
+// 中央目录中的创建系统为 Unix（高字节 3），解压工具按 UTF-8 标志处理文件名而不做 OEM 代码页转换；普通文件权限 0644
+const ZIP_MADE_BY_UNIX = 3 << 8;
+const ZIP_UNIX_FILE_ATTRIBUTES = (0o100644 << 16) >>> 0;
+const ZIP32_MAX = 0xffffffff;
+const ZIP32_MAX_ENTRIES = 0xffff;
+// 无法写入文件时，内存中累积的分段超过该大小就合并为 Blob，便于浏览器转存到磁盘
+const ZIP_BLOB_FLUSH_BYTES = 16 * 1024 * 1024;
+// 已压缩格式再 deflate 几乎没有收益，直接存储
+const ZIP_STORED_EXTENSIONS = /\.(mp3|m4a|aac|ogg|oga|opus|flac|webm|mp4|zip|gz|png|jpe?g|webp)$/i;
+
+const zipCrcTable = (() => {
+    const table = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        table[n] = c >>> 0;
+    }
+    return table;
+})();
+
+// 增量计算 CRC-32：首次传入 crc = 0
+function updateZipCrc(crc, bytes) {
+    let c = ~crc;
+    for (let i = 0; i < bytes.length; i++) c = zipCrcTable[(c ^ bytes[i]) & 0xff] ^ (c >>> 8);
+    return ~c >>> 0;
+}
+
+// 小端写入，64 位值以 Number 表示（精度足够 8 PB）
+function createZipRecord(size) {
+    const bytes = new Uint8Array(size);
+    const view = new DataView(bytes.buffer);
+    let offset = 0;
+    return {
+        bytes,
+        u16(value) { view.setUint16(offset, value, true); offset += 2; return this; },
+        u32(value) { view.setUint32(offset, value >>> 0, true); offset += 4; return this; },
+        u64(value) { view.setBigUint64(offset, BigInt(value), true); offset += 8; return this; },
+        raw(data) { bytes.set(data, offset); offset += data.length; return this; }
+    };
+}
+
+// MS-DOS 格式的修改时间与日期（本地时间，精度 2 秒）
+function toDosDateTime(date) {
+    const year = Math.max(1980, date.getFullYear());
+    return {
+        time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+        date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+    };
+}
+
+// 统一为 Uint8Array 块的 ReadableStream：支持 Blob、ReadableStream、ArrayBuffer/TypedArray 与字符串
+function toZipSourceStream(source) {
+    if (source instanceof ReadableStream) return source;
+    if (source instanceof Blob) return source.stream();
+    return new Blob([source]).stream();
+}
+
+// 用户选择的文件：直接写入磁盘
+class FileZipSink {
+    constructor(writable) {
+        this.writable = writable;
+    }
+
+    write(chunk) {
+        return this.writable.write(chunk);
+    }
+
+    close() {
+        return this.writable.close();
+    }
+
+    abort() {
+        return this.writable.abort();
+    }
+}
+
+// 分段合并为 Blob，写完后触发下载
+class BlobZipSink {
+    constructor(fileName) {
+        this.fileName = fileName;
+        this.blob = new Blob([], { type: "application/zip" });
+        this.parts = [];
+        this.pendingBytes = 0;
+    }
+
+    write(chunk) {
+        this.parts.push(chunk);
+        this.pendingBytes += chunk.byteLength;
+        if (this.pendingBytes >= ZIP_BLOB_FLUSH_BYTES) this.flush();
+    }
+
+    flush() {
+        this.blob = new Blob([this.blob, ...this.parts], { type: "application/zip" });
+        this.parts = [];
+        this.pendingBytes = 0;
+    }
+
+    close() {
+        this.flush();
+        downloadBlob(this.blob, this.fileName);
+    }
+
+    abort() {
+        this.parts = [];
+        this.blob = null;
+    }
+}
+
+// 浏览器支持时让用户选择保存位置并流式写入；用户取消时返回 null
+// 失去用户激活（如 .NET 往返耗时过长）等其他错误时回退为下载
+async function createZipSink(fileName) {
+    if (typeof window.showSaveFilePicker === "function") {
+        try {
+            const handle = await window.showSaveFilePicker({
+                suggestedName: fileName,
+                types: [{ description: "ZIP 压缩包", accept: { "application/zip": [".zip"] } }]
+            });
+            return new FileZipSink(await handle.createWritable());
+        } catch (e) {
+            if (e.name === "AbortError") return null;
+            console.warn("无法直接写入文件，改为下载:", e);
+        }
+    }
+    return new BlobZipSink(fileName);
+}
+
+class ZipWriter {
+    constructor(sink) {
+        this.sink = sink;
+        this.offset = 0;
+        this.entries = [];
+        this.names = new Set();
+        // 串行写入：并发调用 add 时按调用顺序排队
+        this.queue = Promise.resolve();
+        this.closed = false;
+    }
+
+    async write(bytes) {
+        await this.sink.write(bytes);
+        this.offset += bytes.byteLength;
+    }
+
+    // 添加文件，返回压缩包内的实际路径；name 可含 "/" 表示目录，重名时追加序号
+    // options: { compress: true | false | "auto"（默认，已压缩格式存储）, lastModified: Date | 毫秒 }
+    add(name, source, options) {
+        const task = this.queue.then(() => this.writeEntry(name, source, options ?? {}));
+        this.queue = task.catch(() => { });
+        return task;
+    }
+
+    uniqueName(name) {
+        const clean = String(name || "file").replace(/\\/g, "/").replace(/^\/+/, "");
+        let unique = clean;
+        for (let n = 2; this.names.has(unique.toLowerCase()); n++) {
+            unique = clean.replace(/(\.[^./]*)?$/, (ext) => `_${n}${ext}`);
+        }
+        this.names.add(unique.toLowerCase());
+        return unique;
+    }
+
+    async writeEntry(name, source, options) {
+        if (this.closed) throw new Error("压缩包已关闭");
+
+        const entryName = this.uniqueName(name);
+        const nameBytes = new TextEncoder().encode(entryName);
+        const wantsDeflate = options.compress === undefined || options.compress === "auto"
+            ? !ZIP_STORED_EXTENSIONS.test(name)
+            : !!options.compress;
+        const method = wantsDeflate && typeof CompressionStream === "function" ? ZIP_METHOD_DEFLATE : ZIP_METHOD_STORE;
+        const { time, date } = toDosDateTime(new Date(options.lastModified ?? Date.now()));
+
+        const entry = { nameBytes, method, time, date, offset: this.offset, crc: 0, size: 0, compressedSize: 0 };
+
+        // 本地文件头：CRC 与大小写在数据之后的数据描述符中，ZIP64 扩展字段中的大小为 0
+        const header = createZipRecord(30 + nameBytes.length + 20)
+            .u32(ZIP_LOCAL_HEADER_SIGNATURE).u16(ZIP64_VERSION).u16(ZIP_FLAGS).u16(method)
+            .u16(time).u16(date).u32(0).u32(ZIP32_MAX).u32(ZIP32_MAX)
+            .u16(nameBytes.length).u16(20).raw(nameBytes)
+            .u16(0x0001).u16(16).u64(0).u64(0);
+        await this.write(header.bytes);
+
+        let stream = toZipSourceStream(source).pipeThrough(new TransformStream({
+            transform(chunk, controller) {
+                const bytes = chunk instanceof Uint8Array ? chunk : new Uint8Array(chunk);
+                entry.crc = updateZipCrc(entry.crc, bytes);
+                entry.size += bytes.length;
+                controller.enqueue(bytes);
+            }
+        }));
+        if (method === ZIP_METHOD_DEFLATE) stream = stream.pipeThrough(new CompressionStream("deflate-raw"));
+
+        const reader = stream.getReader();
+        for (;;) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            entry.compressedSize += value.byteLength;
+            await this.write(value);
+        }
+
+        // 本地头带 ZIP64 扩展字段，数据描述符中的大小必须为 8 字节
+        await this.write(createZipRecord(24)
+            .u32(ZIP_DATA_DESCRIPTOR_SIGNATURE).u32(entry.crc).u64(entry.compressedSize).u64(entry.size).bytes);
+        this.entries.push(entry);
+        return entryName;
+    }
+
+    // 写入中央目录并关闭输出
+    close() {
+        const task = this.queue.then(() => this.writeDirectory());
+        this.queue = task.catch(() => { });
+        return task;
+    }
+
+    async writeDirectory() {
+        if (this.closed) return;
+        this.closed = true;
+
+        const directoryOffset = this.offset;
+        for (const entry of this.entries) {
+            // 超出 32 位的字段写 0xFFFFFFFF，实际值按顺序放在 ZIP64 扩展字段中
+            const wide = [
+                entry.size >= ZIP32_MAX ? entry.size : null,
+                entry.compressedSize >= ZIP32_MAX ? entry.compressedSize : null,
+                entry.offset >= ZIP32_MAX ? entry.offset : null
+            ].filter(value => value !== null);
+            const extraLength = wide.length ? 4 + wide.length * 8 : 0;
+
+            const header = createZipRecord(46 + entry.nameBytes.length + extraLength)
+                .u32(ZIP_CENTRAL_HEADER_SIGNATURE).u16(ZIP_MADE_BY_UNIX | ZIP64_VERSION).u16(ZIP64_VERSION).u16(ZIP_FLAGS).u16(entry.method)
+                .u16(entry.time).u16(entry.date).u32(entry.crc)
+                .u32(Math.min(entry.compressedSize, ZIP32_MAX)).u32(Math.min(entry.size, ZIP32_MAX))
+                .u16(entry.nameBytes.length).u16(extraLength).u16(0).u16(0).u16(0).u32(ZIP_UNIX_FILE_ATTRIBUTES)
+                .u32(Math.min(entry.offset, ZIP32_MAX)).raw(entry.nameBytes);
+            if (wide.length) {
+                header.u16(0x0001).u16(wide.length * 8);
+                wide.forEach(value => header.u64(value));
+            }
+            await this.write(header.bytes);
+        }
+
+        const directorySize = this.offset - directoryOffset;
+        const count = this.entries.length;
+        if (count >= ZIP32_MAX_ENTRIES || directoryOffset >= ZIP32_MAX || directorySize >= ZIP32_MAX) {
+            const zip64EndOffset = this.offset;
+            await this.write(createZipRecord(56)
+                .u32(ZIP64_END_SIGNATURE).u64(44).u16(ZIP64_VERSION).u16(ZIP64_VERSION).u32(0).u32(0)
+                .u64(count).u64(count).u64(directorySize).u64(directoryOffset).bytes);
+            await this.write(createZipRecord(20)
+                .u32(ZIP64_LOCATOR_SIGNATURE).u32(0).u64(zip64EndOffset).u32(1).bytes);
+        }
+
+        await this.write(createZipRecord(22)
+            .u32(ZIP_END_SIGNATURE).u16(0).u16(0)
+            .u16(Math.min(count, ZIP32_MAX_ENTRIES)).u16(Math.min(count, ZIP32_MAX_ENTRIES))
+            .u32(Math.min(directorySize, ZIP32_MAX)).u32(Math.min(directoryOffset, ZIP32_MAX)).u16(0).bytes);
+        await this.sink.close();
+    }
+
+    async abort() {
+        this.closed = true;
+        try {
+            await this.sink.abort();
+        } catch (e) {
+            console.warn("取消压缩包写入失败:", e);
+        }
+    }
+}
+
+function getZipWriter(id) {
+    const writer = zipArchives.get(id);
+    if (!writer) throw new Error(`压缩包不存在或已关闭: ${id}`);
+    return writer;
+}
+
+window.zipInterop = {
+    // 开始写入压缩包，返回 id；用户取消选择保存位置时返回 null
+    async create(fileName) {
+        const sink = await createZipSink(fileName);
+        if (!sink) return null;
+
+        const id = nextZipArchiveId++;
+        zipArchives.set(id, new ZipWriter(sink));
+        return id;
+    },
+
+    // 添加 .NET 传来的文件（DotNetStreamReference），边读边写，返回实际路径；options 见 ZipWriter.add
+    async add(id, name, streamRef, options) {
+        return await getZipWriter(id).add(name, await streamRef.stream(), options);
+    },
+
+    // 添加文本文件（UTF-8），返回实际路径
+    async addText(id, name, text, options) {
+        return await getZipWriter(id).add(name, new Blob([text]), options);
+    },
+
+    // 写完中央目录并保存
+    async close(id) {
+        const writer = getZipWriter(id);
+        zipArchives.delete(id);
+        await writer.close();
+    },
+
+    // 放弃写入（出错或页面离开时）
+    async abort(id) {
+        const writer = zipArchives.get(id);
+        zipArchives.delete(id);
+        await writer?.abort();
+    }
+};